@@ -1,10 +1,11 @@
 // server.js
 // smart-process + static index.html + mobile.html
-// + reactive updates: SSE /api/stream
+// + reactive updates: SSE /api/stream (diff по событиям + resume по Last-Event-ID)
 // + AUTH + RBAC: admin/operator/viewer + admin.html
-// + manual_events.json, comments.json, done_status.json, geocode_cache.json, recl_seen.json, geocode_cache.json
+// + хранилище storage.js (SQLite, один файл data.sqlite): пользователи, ручные события, комментарии, done, recl_seen, геокэш, конфиги
+//   (snapshot — отдельный events_snapshot.json с асинхронной записью)
 // + 🚀 мгновенный /api/events: отдаём готовый snapshot из памяти (и с диска после рестарта)
-// + 🛰️ обновление snapshot в фоне: /api/bitrix/hook + polling Bitrix (страховка)
+// + 🛰️ обновление snapshot в фоне: /api/bitrix/hook, /api/bitrix/events (исходящий вебхук Bitrix) + polling Bitrix (страховка), delta по updatedTime + редкая полная сверка
 // + ✅ перенос по drag&drop: PUT /api/assigned-date/:id (с сохранением в Bitrix + патч снапшота сразу)
 
 const express = require('express');
@@ -14,15 +15,19 @@ const compression = require('compression');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs/promises');
+const storage = require('./storage');
 const http = require('http');
 const https = require('https');
 const session = require('express-session');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const { promisify } = require('util');
 
 dotenv.config();
 
 const app = express();
+// за nginx/реверс-прокси: TRUST_PROXY=1 (или число хопов/подсеть) — тогда req.ip (журнал изменений) берётся из X-Forwarded-For
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 app.use(cors());
 app.use(express.json({ limit: '2mb' }));
 
@@ -112,30 +117,12 @@ function normalizeWebhookUrl(u) {
 }
 
 const BITRIX_WEBHOOK_URL = normalizeWebhookUrl(process.env.BITRIX_WEBHOOK_URL);
-const ENTITY_TYPE_ID = Number(process.env.BITRIX_SMART_ENTITY_TYPE_ID) || 141;
-const CATEGORY_ID = Number(process.env.BITRIX_CATEGORY_ID) || 14;
 
 if (!BITRIX_WEBHOOK_URL) {
   console.error('ERROR: BITRIX_WEBHOOK_URL is empty. Put it into .env');
   process.exit(1);
 }
 
-// .env можно переопределить:
-// BITRIX_ASSIGNED_FIELD_ID=ufCrm8_1747908559319
-const BITRIX_ASSIGNED_FIELD_ID = String(process.env.BITRIX_ASSIGNED_FIELD_ID || 'ufCrm8_1747908559319').trim();
-
-// ===================== axios keep-alive =====================
-const axiosInst = axios.create({
-  timeout: 20000,
-  httpAgent: new http.Agent({ keepAlive: true }),
-  httpsAgent: new https.Agent({ keepAlive: true })
-});
-
-async function bitrixPost(method, payload) {
-  const { data } = await axiosInst.post(`${BITRIX_WEBHOOK_URL}${method}.json`, payload, { timeout: 20000 });
-  return data;
-}
-
 // ===================== STAGES (логика) =====================
 const STAGE_TRANSFER_TO_SHOP = 'DT141_14:UC_FDWOQ4'; // “Передан в цех”
 const STAGE_OTK_WAREHOUSE    = 'DT141_14:UC_MIB2DM'; // “Заказ готов/ОТК/Склад”
@@ -147,8 +134,10 @@ const STAGE_RECL_IN          = 'DT141_14:UC_9ALF9C';
 const STAGE_RECL_WAIT        = 'DT141_14:UC_27ZEBX';
 const RECL_STAGES = new Set([STAGE_RECL_IN, STAGE_RECL_WAIT]);
 
-const DEFAULT_ALL_STAGES = String(process.env.BITRIX_ALL_STAGES_DEFAULT || 'false').toLowerCase();
-const DEFAULT_ALL_STAGES_ON = (DEFAULT_ALL_STAGES === '1' || DEFAULT_ALL_STAGES === 'true' || DEFAULT_ALL_STAGES === 'yes');
+// у любого смарт-процесса/воронки финальная успешная стадия — "<префикс>:SUCCESS"
+function isSuccessStage(stageId) {
+  return String(stageId || '').trim().endsWith(':SUCCESS');
+}
 
 const STAGE_FILTER = [
   STAGE_TRANSFER_TO_SHOP,
@@ -160,6 +149,207 @@ const STAGE_FILTER = [
   STAGE_RECL_WAIT
 ];
 
+// ===================== BITRIX CONFIG (маппинг полей + настройки) =====================
+// Хранится в storage (документ bitrix_config), редактируется в admin.html. Значения из .env
+// (BITRIX_SMART_ENTITY_TYPE_ID, BITRIX_CATEGORY_ID, BITRIX_ASSIGNED_FIELD_ID, BITRIX_ALL_STAGES_DEFAULT,
+// BITRIX_POLL_MS, BITRIX_FULL_SYNC_MS) — только значения по умолчанию, пока конфиг не сохранён.
+
+const FIELD_TYPES_DATE = ['date', 'datetime'];
+const FIELD_TYPES_PEOPLE = ['employee', 'user', 'integer'];
+
+// логическое имя -> код поля Bitrix по умолчанию; types: допустимые типы из crm.item.fields (null — любой)
+const BITRIX_FIELD_DEFS = [
+  { key: 'transferToShop',     label: 'Передан в цех',             def: 'ufCrm8_1747916236564', types: FIELD_TYPES_DATE, required: true },
+  { key: 'otkDate',            label: 'Дата ОТК',                  def: 'ufCrm8_1747306212023', types: FIELD_TYPES_DATE },
+  { key: 'measureDate',        label: 'Дата замера',               def: 'ufCrm8_1744626362431', types: FIELD_TYPES_DATE },
+  { key: 'plannedInstall',     label: 'План монтажа',              def: 'ufCrm8_1744626911134', types: FIELD_TYPES_DATE, required: true },
+  { key: 'assignedInstall',    label: 'Назначен монтаж',           def: String(process.env.BITRIX_ASSIGNED_FIELD_ID || 'ufCrm8_1747908559319').trim(), types: FIELD_TYPES_DATE, required: true },
+  { key: 'sysAssignedInstall', label: 'Назначен монтаж (системн.)', def: 'ufCrm8_1758806212646', types: FIELD_TYPES_DATE },
+  { key: 'installDone',        label: 'Монтаж выполнен (дата)',    def: 'ufCrm8_1744639197488', types: FIELD_TYPES_DATE },
+  { key: 'address',            label: 'Адрес',                     def: 'ufCrm8_1731616801',    types: null },
+  { key: 'lat',                label: 'Широта',                    def: 'ufCrm8_1765526240853', types: null },
+  { key: 'lng',                label: 'Долгота',                   def: 'ufCrm8_1765526264050', types: null },
+  { key: 'yandexGeo',          label: 'Яндекс-метка (JSON)',       def: 'ufCrm8_1765980928',    types: null },
+  { key: 'orderNumber',        label: '№ заказа',                  def: 'ufCrm8_1758702287777', types: null },
+  { key: 'customerName',       label: 'Клиент',                    def: 'ufCrm8_1758702046420', types: null },
+  { key: 'phone',              label: 'Телефон',                   def: 'ufCrm8_1744626408052', types: null },
+  { key: 'phoneAlt',           label: 'Телефон (доп.)',            def: 'ufCrm8_1758702057969', types: null },
+  { key: 'installComment',     label: 'Комментарий к монтажу',     def: 'ufCrm8_1732097971828', types: null },
+  { key: 'extraComment',       label: 'Доп. комментарий',          def: 'ufCrm8_1744638484827', types: null },
+  { key: 'stoneType',          label: 'Тип камня',                 def: 'ufCrm8_1731616262',    types: ['enumeration', 'iblock_element', 'crm_status', 'string', 'integer'] },
+  { key: 'materialCode',       label: 'Код материала',             def: 'ufCrm8_1759661234',    types: null },
+  { key: 'thickness',          label: 'Толщина',                   def: 'ufCrm8_1748001850227', types: null },
+  { key: 'manager',            label: 'Менеджер',                  def: 'ufCrm8_1731617119',    types: FIELD_TYPES_PEOPLE },
+  { key: 'installers',         label: 'Монтажники',                def: 'ufCrm8_1748338492',    types: FIELD_TYPES_PEOPLE },
+  { key: 'googleEventId',      label: 'Google Calendar event',     def: 'ufCrm8GoogleCalendarEvent', types: null }
+];
+
+function envFlag(v) {
+  const s = String(v || '').trim().toLowerCase();
+  return s === '1' || s === 'true' || s === 'yes';
+}
+
+// ===================== ИСТОЧНИКИ (несколько смарт-процессов / воронок в одном календаре) =====================
+// У каждого источника своя сущность, воронка, стадии и маппинг полей. Элементы источника PRIMARY_SOURCE_ID
+// получают в календаре "голый" id Bitrix (как раньше: done/comments/recl_seen остаются по тем же ключам),
+// остальных — "<sourceId>-<id>".
+const PRIMARY_SOURCE_ID = 'main';
+const MANUAL_SOURCE_ID = 'manual'; // псевдо-источник ручных событий (фильтр/правила цвета)
+const SOURCE_ID_RE = /^(?!manual$)[a-z][a-z0-9_]{1,23}$/;
+
+function defaultSource() {
+  return {
+    id: PRIMARY_SOURCE_ID,
+    label: 'Монтаж',
+    entityTypeId: Number(process.env.BITRIX_SMART_ENTITY_TYPE_ID) || 141,
+    categoryId: Number(process.env.BITRIX_CATEGORY_ID) || 14,
+    allStagesDefault: envFlag(process.env.BITRIX_ALL_STAGES_DEFAULT),
+    stages: STAGE_FILTER.slice(),
+    doneStage: STAGE_INSTALL_DONE,       // куда двигать элемент при "выполнено" (sync.doneMode = stage)
+    reopenStage: STAGE_ASSIGNED_INSTALL, // куда возвращать при снятии "выполнено"
+    fields: Object.fromEntries(BITRIX_FIELD_DEFS.map(d => [d.key, d.def]))
+  };
+}
+
+// ===================== SYNC С BITRIX (комментарии, "выполнено") =====================
+// Направление для каждой сущности: off — только у нас; push — наши изменения уходят в Bitrix;
+// pull — Bitrix главный (изменения оттуда подтягиваются при обновлении); both — в обе стороны.
+// done: doneMode = stage (перевод в source.doneStage / source.reopenStage) или field (дата в поле installDone).
+const SYNC_DIRECTIONS = ['off', 'push', 'pull', 'both'];
+const DONE_MODES = ['stage', 'field'];
+
+function defaultSyncConfig() {
+  const dir = (v) => SYNC_DIRECTIONS.includes(String(v || '').trim()) ? String(v).trim() : 'off';
+  return {
+    comments: dir(process.env.BITRIX_SYNC_COMMENTS),
+    done: dir(process.env.BITRIX_SYNC_DONE),
+    doneMode: DONE_MODES.includes(process.env.BITRIX_SYNC_DONE_MODE) ? process.env.BITRIX_SYNC_DONE_MODE : 'stage'
+  };
+}
+
+function normalizeSyncConfig(raw, def) {
+  const src = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+  return {
+    comments: SYNC_DIRECTIONS.includes(src.comments) ? src.comments : def.comments,
+    done: SYNC_DIRECTIONS.includes(src.done) ? src.done : def.done,
+    doneMode: DONE_MODES.includes(src.doneMode) ? src.doneMode : def.doneMode
+  };
+}
+
+function syncPush(kind) { const d = bitrixConfig.sync?.[kind]; return d === 'push' || d === 'both'; }
+function syncPull(kind) { const d = bitrixConfig.sync?.[kind]; return d === 'pull' || d === 'both'; }
+
+function defaultBitrixConfig() {
+  return {
+    pollMs: Math.max(2000, Number(process.env.BITRIX_POLL_MS) || 8000),
+    fullSyncMs: Math.max(60000, Number(process.env.BITRIX_FULL_SYNC_MS) || 15 * 60 * 1000),
+    sync: defaultSyncConfig(),
+    sources: [defaultSource()]
+  };
+}
+
+function normalizeSource(raw, def) {
+  const src = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+  const fieldsSrc = (src.fields && typeof src.fields === 'object') ? src.fields : {};
+
+  const fields = {};
+  for (const d of BITRIX_FIELD_DEFS) {
+    const v = fieldsSrc[d.key];
+    fields[d.key] = (v === undefined || v === null) ? (def.fields[d.key] || '') : String(v).trim();
+  }
+
+  const categoryId = Number(src.categoryId);
+  const stages = Array.isArray(src.stages) ? src.stages.map(s => String(s || '').trim()).filter(Boolean) : def.stages;
+
+  return {
+    id: SOURCE_ID_RE.test(String(src.id || '')) ? String(src.id) : def.id,
+    label: String(src.label || '').trim() || def.label,
+    entityTypeId: normalizeId(src.entityTypeId) || def.entityTypeId,
+    categoryId: (Number.isInteger(categoryId) && categoryId >= 0) ? categoryId : def.categoryId,
+    allStagesDefault: (typeof src.allStagesDefault === 'boolean') ? src.allStagesDefault : def.allStagesDefault,
+    stages,
+    doneStage: (src.doneStage === undefined || src.doneStage === null) ? (def.doneStage || '') : String(src.doneStage).trim(),
+    reopenStage: (src.reopenStage === undefined || src.reopenStage === null) ? (def.reopenStage || '') : String(src.reopenStage).trim(),
+    fields
+  };
+}
+
+// мягкая нормализация (для чтения с диска): всё неизвестное/битое — из значений по умолчанию.
+// Старый формат (один источник: entityTypeId/categoryId/fields в корне) превращается в sources[0] = main.
+function normalizeBitrixConfig(raw) {
+  const def = defaultBitrixConfig();
+  const src = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+
+  let sources;
+  if (Array.isArray(src.sources) && src.sources.length) {
+    const seen = new Set();
+    sources = src.sources
+      .map((s, i) => normalizeSource(s, i === 0 ? def.sources[0] : { ...def.sources[0], id: 's' + i, label: 'Источник ' + (i + 1), stages: [], doneStage: '', reopenStage: '' }))
+      .filter(s => !seen.has(s.id) && seen.add(s.id));
+  } else {
+    sources = [normalizeSource({ ...src, id: PRIMARY_SOURCE_ID }, def.sources[0])];
+  }
+
+  return {
+    pollMs: Math.max(2000, Number(src.pollMs) || def.pollMs),
+    fullSyncMs: Math.max(60000, Number(src.fullSyncMs) || def.fullSyncMs),
+    sync: normalizeSyncConfig(src.sync, def.sync),
+    sources
+  };
+}
+
+let bitrixConfig = defaultBitrixConfig();
+
+async function loadBitrixConfig() {
+  const data = storage.getDocument('bitrix_config', null);
+  bitrixConfig = normalizeBitrixConfig(data);
+}
+async function saveBitrixConfig() { storage.setDocument('bitrix_config', bitrixConfig); }
+
+function bitrixSources() { return bitrixConfig.sources; }
+function primarySource() { return bitrixConfig.sources.find(s => s.id === PRIMARY_SOURCE_ID) || bitrixConfig.sources[0]; }
+function sourceById(id) { return bitrixConfig.sources.find(s => s.id === id) || null; }
+
+// элементы в кэше помечены _src = id источника
+function itemSource(item) { return sourceById(item?._src) || primarySource(); }
+
+function fieldCode(key, source = primarySource()) {
+  return String(source?.fields?.[key] || '').trim();
+}
+function fieldValue(item, key) {
+  const code = fieldCode(key, itemSource(item));
+  return code ? item?.[code] : undefined;
+}
+
+function eventIdFor(source, itemId) {
+  return source.id === PRIMARY_SOURCE_ID ? String(itemId) : `${source.id}-${itemId}`;
+}
+
+// id события календаря -> { source, itemId } (null — не Bitrix-событие / неизвестный источник)
+function parseEventId(eventId) {
+  const s = String(eventId || '').trim();
+  if (/^\d+$/.test(s)) {
+    const source = sourceById(PRIMARY_SOURCE_ID);
+    return source ? { source, itemId: Number(s) } : null;
+  }
+  const m = s.match(/^([a-z][a-z0-9_]*)-(\d+)$/);
+  if (!m) return null;
+  const source = sourceById(m[1]);
+  return source ? { source, itemId: Number(m[2]) } : null;
+}
+
+// ===================== axios keep-alive =====================
+const axiosInst = axios.create({
+  timeout: 20000,
+  httpAgent: new http.Agent({ keepAlive: true }),
+  httpsAgent: new https.Agent({ keepAlive: true })
+});
+
+async function bitrixPost(method, payload) {
+  const { data } = await axiosInst.post(`${BITRIX_WEBHOOK_URL}${method}.json`, payload, { timeout: 20000 });
+  return data;
+}
+
 // ===================== STATIC =====================
 const publicDir = path.join(__dirname, '..');
 
@@ -216,14 +406,68 @@ app.use('/assets', requireAuth, express.static(path.join(publicDir, 'assets')));
 app.use('/static', requireAuth, express.static(path.join(publicDir, 'static')));
 
 // ===================== DATA VERSION + SSE =====================
+// Сообщения SSE типизированы:
+//   { type:'version', version }                       — "перечитай /api/events целиком"
+//   { type:'added',   version, prevVersion, event }   — новое событие
+//   { type:'changed', version, prevVersion, id, fields, props } — изменённые поля (fields: верхний уровень, props: extendedProps)
+//   { type:'removed', version, prevVersion, id }      — событие пропало
+//   { type:'absences' }                               — изменились отсутствия монтажников (перечитай /api/absences)
+// У каждого сообщения есть SSE id (`<epoch>.<seq>`), по Last-Event-ID переподключившийся клиент получает только пропущенное.
 let dataVersion = Date.now();
 const sseClients = new Set();
 
-function sseWrite(res, obj) {
-  try { res.write(`data: ${JSON.stringify(obj)}\n\n`); } catch {}
+// версия только растёт: две правки в одну миллисекунду дали бы одинаковый ETag и 304 на изменённые данные
+function bumpDataVersion() {
+  dataVersion = Math.max(Date.now(), dataVersion + 1);
+  return dataVersion;
+}
+
+const SSE_EPOCH = Date.now().toString(36);
+const SSE_LOG_LIMIT = Math.max(100, Number(process.env.SSE_LOG_SIZE) || 2000);
+const SSE_DIFF_MAX = Math.max(10, Number(process.env.SSE_DIFF_MAX) || 300); // больше изменений — шлём просто version
+let sseSeq = 0;
+const sseLog = []; // [{ seq, data }]
+
+function sseFormat(seq, obj) {
+  const id = (seq === null || seq === undefined) ? '' : `id: ${SSE_EPOCH}.${seq}\n`;
+  return `${id}data: ${JSON.stringify(obj)}\n\n`;
+}
+function sseWrite(res, obj, seq = null) {
+  try { res.write(sseFormat(seq, obj)); } catch {}
+}
+
+// все исходящие сообщения проходят через журнал (для resume по Last-Event-ID)
+function ssePublish(messages) {
+  for (const obj of messages) {
+    const seq = ++sseSeq;
+    sseLog.push({ seq, data: obj });
+    for (const res of sseClients) sseWrite(res, obj, seq);
+  }
+  if (sseLog.length > SSE_LOG_LIMIT) sseLog.splice(0, sseLog.length - SSE_LOG_LIMIT);
 }
+
 function broadcastVersion() {
-  for (const res of sseClients) sseWrite(res, { version: dataVersion });
+  ssePublish([{ type: 'version', version: dataVersion }]);
+}
+
+// '<epoch>.<seq>' -> seq (только для текущего запуска сервера)
+function parseSseEventId(v) {
+  const s = String(v || '').trim();
+  const dot = s.lastIndexOf('.');
+  if (dot <= 0) return null;
+  if (s.slice(0, dot) !== SSE_EPOCH) return null;
+  const n = Number(s.slice(dot + 1));
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// пропущенные сообщения после seq; null — журнал уже не покрывает разрыв
+function sseMissedSince(seq) {
+  if (seq === null) return null;
+  if (seq > sseSeq) return null;
+  if (seq === sseSeq) return [];
+  const first = sseLog.length ? sseLog[0].seq : sseSeq + 1;
+  if (seq < first - 1) return null;
+  return sseLog.filter(x => x.seq > seq);
 }
 
 app.get('/api/stream', requireAuth, (req, res) => {
@@ -233,7 +477,19 @@ app.get('/api/stream', requireAuth, (req, res) => {
   res.setHeader('Connection', 'keep-alive');
 
   try { res.write('retry: 5000\n\n'); } catch {}
-  sseWrite(res, { version: dataVersion });
+
+  // EventSource сам шлёт Last-Event-ID при переподключении; ?lastEventId= — для клиентов, пересоздающих EventSource
+  const lastEventId = req.headers['last-event-id'] || req.query?.lastEventId || '';
+  if (lastEventId) {
+    const missed = sseMissedSince(parseSseEventId(lastEventId));
+    if (missed) {
+      for (const x of missed) sseWrite(res, x.data, x.seq);
+    } else {
+      sseWrite(res, { type: 'version', version: dataVersion, reset: true }, sseSeq);
+    }
+  } else {
+    sseWrite(res, { type: 'version', version: dataVersion }, sseSeq);
+  }
 
   const hb = setInterval(() => {
     try { res.write(': ping\n\n'); } catch {}
@@ -248,7 +504,6 @@ app.get('/api/stream', requireAuth, (req, res) => {
 });
 
 // ===================== USERS STORAGE + AUTH =====================
-const USERS_FILE = path.join(__dirname, 'users.json');
 let usersStore = [];
 
 const scryptAsync = promisify(crypto.scrypt);
@@ -288,30 +543,10 @@ async function verifyPassword(pass, user) {
   return safeEqual(got, ph.hash);
 }
 
-async function readJsonFileSafe(filePath, fallback) {
-  try {
-    const raw = await fs.readFile(filePath, 'utf8');
-    const data = JSON.parse(raw);
-    return data ?? fallback;
-  } catch (e) {
-    if (e && e.code === 'ENOENT') return fallback;
-    console.error('readJsonFileSafe error:', filePath, e?.message || e);
-    return fallback;
-  }
-}
-
-async function writeJsonAtomic(filePath, obj) {
-  const tmp = filePath + '.tmp';
-  const raw = JSON.stringify(obj, null, 2);
-  await fs.writeFile(tmp, raw, 'utf8');
-  await fs.rename(tmp, filePath);
-}
-
 async function loadUsersStore() {
-  const data = await readJsonFileSafe(USERS_FILE, []);
-  usersStore = Array.isArray(data) ? data : [];
+  usersStore = storage.loadCollection('users');
 }
-async function saveUsersStore() { await writeJsonAtomic(USERS_FILE, usersStore); }
+async function saveUsersStore() { storage.saveCollection('users', usersStore); }
 
 function findUserByUsername(username) {
   const u = normUsername(username);
@@ -354,6 +589,73 @@ async function bootstrapAdminIfNeeded() {
   console.log('BOOTSTRAP: created admin user from .env:', username);
 }
 
+// ===================== AUDIT (журнал изменений) =====================
+// Append-only таблица audit в storage: кто (id/логин/роль), откуда (IP), что (action + объект), значение до и после.
+// Пишется каждым изменяющим endpoint'ом после успешного сохранения. Сбой записи журнала запрос не роняет.
+const AUDIT_LIMIT_DEFAULT = 100;
+const AUDIT_LIMIT_MAX = 500;
+
+function auditLog(req, action, target, before, after, meta) {
+  const u = req.session?.user || {};
+  try {
+    storage.appendAudit({
+      userId: u.id,
+      username: u.username,
+      fullName: u.fullName,
+      role: u.role,
+      ip: req.ip,
+      action,
+      targetType: target?.type,
+      targetId: target?.id,
+      before,
+      after,
+      meta
+    });
+  } catch (e) {
+    console.error('audit write failed:', action, e?.message || e);
+  }
+}
+
+// "2025-01-31" -> начало дня (локальное время сервера); ISO — как есть; мусор -> undefined
+function parseAuditDate(v, endOfDay) {
+  const s = String(v || '').trim();
+  if (!s) return null;
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(s + 'T00:00:00') : new Date(s);
+  if (!Number.isFinite(d.getTime())) return undefined;
+  if (endOfDay && s.length === 10) d.setDate(d.getDate() + 1);
+  return d.toISOString();
+}
+
+// admin — любые фильтры; остальные — только история конкретного события (для карточки), без IP
+app.get('/api/audit', requireAuth, (req, res) => {
+  const isAdmin = getRole(req) === ROLE_ADMIN;
+  const eventId = String(req.query.eventId || '').trim();
+  if (!isAdmin && !eventId) return res.status(403).json({ ok: false, error: 'forbidden' });
+
+  const from = parseAuditDate(req.query.from, false);
+  const to = parseAuditDate(req.query.to, true);
+  if (from === undefined || to === undefined) return res.status(400).json({ ok: false, error: 'bad_date' });
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || AUDIT_LIMIT_DEFAULT, 1), AUDIT_LIMIT_MAX);
+  const items = storage.queryAudit({
+    // не-админу — только история заказов: конфиги и пользователи по их id не отдаём
+    targetType: isAdmin ? null : 'event',
+    targetId: eventId || null,
+    userId: isAdmin ? String(req.query.userId || '').trim() || null : null,
+    action: isAdmin ? String(req.query.action || '').trim() || null : null,
+    from,
+    to,
+    beforeSeq: Number(req.query.before) || null,
+    limit
+  });
+
+  res.json({
+    ok: true,
+    items: isAdmin ? items : items.map(({ ip, ...rest }) => rest),
+    nextBefore: items.length === limit ? items[items.length - 1].seq : null
+  });
+});
+
 // AUTH API
 app.post('/api/login', async (req, res) => {
   try {
@@ -421,8 +723,9 @@ app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
 
     usersStore.push(user);
     await saveUsersStore();
+    auditLog(req, 'user.create', { type: 'user', id: user.id }, null, userPublic(user));
 
-    dataVersion = Date.now();
+    bumpDataVersion();
     broadcastVersion();
 
     res.json({ ok: true, item: userPublic(user) });
@@ -436,6 +739,7 @@ app.put('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
     const id = String(req.params.id || '');
     const user = findUserById(id);
     if (!user) return res.status(404).json({ ok: false, error: 'not_found' });
+    const before = userPublic(user);
 
     const fullName = String(req.body?.fullName || '').trim();
     const role = String(req.body?.role || '').trim();
@@ -454,6 +758,7 @@ app.put('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
 
     user.updatedAt = new Date().toISOString();
     await saveUsersStore();
+    auditLog(req, 'user.update', { type: 'user', id: user.id }, before, userPublic(user), { passwordChanged: !!password });
 
     if (req.session?.user?.id && String(req.session.user.id) === String(user.id)) {
       req.session.user.fullName = user.fullName;
@@ -461,7 +766,7 @@ app.put('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
       req.session.user.username = user.username;
     }
 
-    dataVersion = Date.now();
+    bumpDataVersion();
     broadcastVersion();
 
     res.json({ ok: true, item: userPublic(user) });
@@ -477,13 +782,14 @@ app.delete('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
       return res.status(400).json({ ok: false, error: 'cannot_delete_self' });
     }
 
-    const before = usersStore.length;
+    const user = findUserById(id);
+    if (!user) return res.status(404).json({ ok: false, error: 'not_found' });
     usersStore = usersStore.filter(u => String(u.id) !== id);
-    if (usersStore.length === before) return res.status(404).json({ ok: false, error: 'not_found' });
 
     await saveUsersStore();
+    auditLog(req, 'user.delete', { type: 'user', id }, userPublic(user), null);
 
-    dataVersion = Date.now();
+    bumpDataVersion();
     broadcastVersion();
 
     res.json({ ok: true });
@@ -492,20 +798,16 @@ app.delete('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-// ===================== STORAGE FILES =====================
-const MANUAL_FILE = path.join(__dirname, 'manual_events.json');
-const COMMENTS_FILE = path.join(__dirname, 'comments.json');
-const GEOCODE_CACHE_FILE = path.join(__dirname, 'geocode_cache.json');
-const RECL_SEEN_FILE = path.join(__dirname, 'recl_seen.json');
-const DONE_FILE = path.join(__dirname, 'done_status.json');
-
-// snapshot on disk
-const SNAPSHOT_FILE = path.join(__dirname, 'events_snapshot.json');
-
 function manualEventColor() { return '#ef4444'; }
 function isManualId(id) { return String(id).startsWith('m-'); }
 
-// Тип камня: ID -> текст
+// ===================== СПРАВОЧНИКИ BITRIX (типы камня, стадии) =====================
+// Типы камня — значения списка из crm.item.fields (поле stoneType из маппинга),
+// стадии — crm.status.list по ENTITY_ID = DYNAMIC_<entityTypeId>_STAGE_<categoryId>.
+// Кэшируются в storage (документ bitrix_dicts, чтобы после рестарта сразу были имена) и обновляются раз в BITRIX_DICTS_REFRESH_MS.
+// STONE_TYPE_MAP — только запасной вариант, пока Bitrix ни разу не ответил.
+const DICTS_REFRESH_MS = Math.max(60000, Number(process.env.BITRIX_DICTS_REFRESH_MS) || 30 * 60 * 1000);
+
 const STONE_TYPE_MAP = {
   '8142': 'Акрил',
   '8144': 'Кварц',
@@ -513,11 +815,105 @@ const STONE_TYPE_MAP = {
   '8270': 'Керамика',
   '8272': 'Кварц+Акрил'
 };
+
+let bitrixDicts = {
+  stoneTypes: {},  // id -> текст
+  stages: {},      // STATUS_ID -> { name, color, sort, semantics }
+  loadedAt: null,
+  lastError: null
+};
+
+function stageEntityId(source) {
+  return `DYNAMIC_${source.entityTypeId}_STAGE_${source.categoryId}`;
+}
+
+async function loadDictsFromDisk() {
+  const data = storage.getDocument('bitrix_dicts', null);
+  if (!data || typeof data !== 'object') return;
+  bitrixDicts.stoneTypes = (data.stoneTypes && typeof data.stoneTypes === 'object') ? data.stoneTypes : {};
+  bitrixDicts.stages = (data.stages && typeof data.stages === 'object') ? data.stages : {};
+  bitrixDicts.loadedAt = data.loadedAt || null;
+}
+
+// id значений списка в Bitrix глобальные, так что типы камня всех источников можно держать в одном словаре
+async function loadStoneTypesFromBitrix(source, out) {
+  const code = fieldCode('stoneType', source);
+  if (!code) return;
+  const fields = await loadBitrixItemFields(source.entityTypeId, { force: true });
+  const f = fields.find(x => x.code === code);
+  for (const it of (f?.items || [])) out[it.id] = it.value;
+}
+
+// STATUS_ID стадий содержат сущность и воронку (DT141_14:...), поэтому тоже не пересекаются
+async function loadStagesFromBitrix(source, out) {
+  const data = await bitrixPost('crm.status.list', {
+    order: { SORT: 'ASC' },
+    filter: { ENTITY_ID: stageEntityId(source) }
+  });
+  for (const s of (data?.result || [])) {
+    const id = String(s?.STATUS_ID || '').trim();
+    if (!id) continue;
+    out[id] = {
+      name: String(s.NAME || id),
+      color: s.COLOR ? String(s.COLOR).toLowerCase() : null,
+      sort: Number(s.SORT) || 0,
+      semantics: s.SEMANTICS || (s.EXTRA?.SEMANTICS) || null,
+      sourceId: source.id
+    };
+  }
+}
+
+// -> true, если что-то поменялось (тогда снапшот надо пересобрать, чтобы обновились stoneText/stageName)
+async function refreshBitrixDicts() {
+  try {
+    const stoneTypes = {};
+    const stages = {};
+    for (const source of bitrixSources()) {
+      await loadStoneTypesFromBitrix(source, stoneTypes);
+      await loadStagesFromBitrix(source, stages);
+    }
+    const changed = !sameJson(stoneTypes, bitrixDicts.stoneTypes) || !sameJson(stages, bitrixDicts.stages);
+
+    bitrixDicts = { stoneTypes, stages, loadedAt: new Date().toISOString(), lastError: null };
+    if (changed) storage.setDocument('bitrix_dicts', { stoneTypes, stages, loadedAt: bitrixDicts.loadedAt });
+    return changed;
+  } catch (e) {
+    bitrixDicts.lastError = String(e?.message || e);
+    return false;
+  }
+}
+
+function scheduleDictsRefresh() {
+  setTimeout(async () => {
+    if (await refreshBitrixDicts()) scheduleRefresh('dicts_update');
+    scheduleDictsRefresh();
+  }, DICTS_REFRESH_MS);
+}
+
 function stoneTypeToText(v) {
   if (v === null || v === undefined) return '';
   const s = String(v).trim();
   if (!s) return '';
-  return STONE_TYPE_MAP[s] || s;
+  return bitrixDicts.stoneTypes[s] || STONE_TYPE_MAP[s] || s;
+}
+
+function stageName(stageId) {
+  const id = String(stageId || '').trim();
+  return bitrixDicts.stages[id]?.name || id;
+}
+
+// для фронтов: { sources: [{ id, label }], stoneTypes: {id: text}, stages: [{ id, name, color, sort, semantics, sourceId }] }
+function dictsPublic() {
+  return {
+    sources: bitrixSources().map(s => ({ id: s.id, label: s.label, entityTypeId: s.entityTypeId, categoryId: s.categoryId }))
+      .concat([{ id: MANUAL_SOURCE_ID, label: 'Ручные' }]),
+    stoneTypes: { ...STONE_TYPE_MAP, ...bitrixDicts.stoneTypes },
+    stages: Object.entries(bitrixDicts.stages)
+      .map(([id, s]) => ({ id, ...s }))
+      .sort((a, b) => a.sort - b.sort),
+    loadedAt: bitrixDicts.loadedAt,
+    lastError: bitrixDicts.lastError
+  };
 }
 
 // stores
@@ -526,36 +922,311 @@ let commentsStore = {};
 let geocodeCache = {};
 let reclSeenStore = {};
 let doneStore = {}; // id -> boolean
+let routePlansStore = {}; // "YYYY-MM-DD:installerId" -> { order: [eventId], savedAt, savedById, savedBy }
+let absencesStore = []; // [{ id, installerId, from, to, reason, note, createdAt, createdBy, updatedAt?, updatedBy? }]
+let durationsStore = {}; // eventId -> { minutes, at, by } — длительность, заданная вручную
+let visitsStore = {}; // "<orderId>:measure" | "<orderId>:v<n>" -> { orderId, type, date, installerIds, done, note, createdAt, createdBy, updatedAt?, updatedBy? }
 
 async function loadManualStore() {
-  const data = await readJsonFileSafe(MANUAL_FILE, []);
-  manualStore = Array.isArray(data) ? data : [];
+  manualStore = storage.loadCollection('manual_events');
 }
-async function saveManualStore() { await writeJsonAtomic(MANUAL_FILE, manualStore); }
+async function saveManualStore() { storage.saveCollection('manual_events', manualStore); }
 
 async function loadCommentsStore() {
-  const data = await readJsonFileSafe(COMMENTS_FILE, {});
-  commentsStore = (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+  const data = storage.loadCollection('comments');
+  let migrated = 0;
+  commentsStore = {};
+  for (const [id, v] of Object.entries(data)) {
+    if (typeof v === 'string') migrated++;
+    const thread = normalizeCommentThread(v);
+    if (thread) commentsStore[id] = thread;
+  }
+  if (migrated) {
+    await saveCommentsStore();
+    console.log('comments: migrated legacy single comments into threads:', migrated);
+  }
+}
+async function saveCommentsStore() { storage.saveCollection('comments', commentsStore); }
+
+// ===================== COMMENTS (треды по заказу) =====================
+// commentsStore: id события -> { rev, items: [{ id, authorId, authorName, text, createdAt, updatedAt, rev, history, deletedAt, deletedBy, legacy }] }
+// rev треда растёт при любом изменении треда, rev комментария — при его правке/удалении.
+// Правка/удаление — optimistic concurrency: клиент присылает rev, который видел; не совпал -> 409 revision_conflict.
+// Старый формат (одна строка на заказ) при загрузке становится первой записью треда с legacy: true.
+const COMMENT_MAX_LENGTH = 5000;
+
+function normalizeCommentThread(v) {
+  if (typeof v === 'string') {
+    const text = v.trim();
+    if (!text) return null;
+    return {
+      rev: 1,
+      items: [{ id: 'c-legacy', authorId: null, authorName: '', text, createdAt: null, updatedAt: null, rev: 1, history: [], legacy: true }]
+    };
+  }
+  if (!v || typeof v !== 'object' || !Array.isArray(v.items)) return null;
+  return { rev: Number(v.rev) || 0, items: v.items.filter(c => c && c.id) };
+}
+
+function visibleComments(id) {
+  const thread = commentsStore[String(id)];
+  return thread ? thread.items.filter(c => !c.deletedAt) : [];
+}
+
+// плоский текст треда — для поиска, копирования и мобильной карточки (freeComment в событии)
+function commentsText(id) {
+  return visibleComments(id).map(c => c.text).join('\n');
+}
+
+function makeCommentId() {
+  return 'c-' + Date.now() + '-' + Math.floor(Math.random() * 10000);
+}
+
+function sessionUserName(req) {
+  const u = req.session?.user || {};
+  return String(u.fullName || u.username || '');
+}
+
+// свой комментарий или admin; у старых (legacy) автора нет — их может править любой редактор
+function canModifyComment(req, c) {
+  if (getRole(req) === ROLE_ADMIN) return true;
+  if (c.legacy && !c.authorId) return true;
+  return String(c.authorId || '') === String(req.session?.user?.id || '');
+}
+
+// ===================== Комментарии <-> таймлайн элемента Bitrix =====================
+// push: добавление/правка/удаление комментария повторяется в таймлайне (crm.timeline.comment.*),
+// id записи таймлайна хранится в c.bitrixCommentId, отправленный текст — в c.bitrixText.
+// pull: при открытии треда (GET /api/comments/:id) читаем таймлайн и вливаем новые/изменённые/удалённые записи;
+// кроме того, при обновлении снапшота — для элементов, пришедших в delta/ids-синхронизации (queueCommentsPull).
+const COMMENTS_PULL_TTL_MS = 30 * 1000;
+const COMMENTS_PULL_LIMIT = 200;
+const COMMENTS_PULL_PER_REFRESH = 20;
+const BITRIX_COMMENT_PREFIX_RE = /^[^\n]* \(календарь\):\n/;
+const commentsPulledAt = new Map(); // id события -> ms
+const commentsPullQueue = new Set(); // id событий, чьи таймлайны прочитать при следующем обновлении снапшота
+
+function bitrixErrorText(e) {
+  return String(e?.response?.data?.error_description || e?.response?.data?.error || e?.message || e);
+}
+
+function timelineText(c) {
+  return `${c.authorName || 'Календарь'} (календарь):\n${c.text}`;
+}
+
+async function pushCommentToBitrix(eventId, c, op) {
+  const ref = parseEventId(eventId);
+  if (!ref || !syncPush('comments')) return null;
+  const { source, itemId } = ref;
+
+  try {
+    if (op === 'add') {
+      const text = timelineText(c);
+      const data = await bitrixPost('crm.timeline.comment.add', {
+        fields: { ENTITY_ID: itemId, ENTITY_TYPE: `dynamic_${source.entityTypeId}`, COMMENT: text }
+      });
+      c.bitrixCommentId = normalizeId(data?.result);
+      c.bitrixText = text;
+    } else if (c.bitrixCommentId) {
+      const owner = { id: c.bitrixCommentId, ownerTypeId: source.entityTypeId, ownerId: itemId };
+      if (op === 'delete') {
+        await bitrixPost('crm.timeline.comment.delete', owner);
+      } else {
+        const text = timelineText(c);
+        await bitrixPost('crm.timeline.comment.update', { ...owner, fields: { COMMENT: text } });
+        c.bitrixText = text;
+      }
+    } else {
+      return null; // комментарий не из таймлайна и туда не отправлялся
+    }
+    return { ok: true };
+  } catch (e) {
+    console.error('bitrix comment sync failed:', op, eventId, bitrixErrorText(e));
+    return { ok: false, error: bitrixErrorText(e) };
+  }
+}
+
+async function listTimelineComments(source, itemId) {
+  const out = [];
+  let start = 0;
+  while (start !== null && out.length < COMMENTS_PULL_LIMIT) {
+    const data = await bitrixPost('crm.timeline.comment.list', {
+      filter: { ENTITY_ID: itemId, ENTITY_TYPE: `dynamic_${source.entityTypeId}` },
+      select: ['ID', 'CREATED', 'AUTHOR_ID', 'COMMENT'],
+      order: { ID: 'ASC' },
+      start
+    });
+    const list = Array.isArray(data?.result) ? data.result : [];
+    out.push(...list);
+    start = (data?.next !== undefined && data?.next !== null) ? data.next : null;
+  }
+  return out;
+}
+
+// вливает таймлайн в тред; true — тред изменился
+async function pullCommentsFromBitrix(eventId, { force = false } = {}) {
+  const ref = parseEventId(eventId);
+  if (!ref || !syncPull('comments')) return false;
+
+  const now = Date.now();
+  if (!force && now - (commentsPulledAt.get(eventId) || 0) < COMMENTS_PULL_TTL_MS) return false;
+  commentsPulledAt.set(eventId, now);
+
+  const list = await listTimelineComments(ref.source, ref.itemId);
+  await fetchUsersByBatch(list.map(x => x.AUTHOR_ID)).catch(() => {});
+
+  const thread = commentsStore[eventId] || { rev: 0, items: [] };
+  const byBitrixId = new Map(thread.items.filter(c => c.bitrixCommentId).map(c => [String(c.bitrixCommentId), c]));
+  const seen = new Set();
+  let changed = false;
+  const at = new Date().toISOString();
+
+  for (const x of list) {
+    const bid = String(normalizeId(x.ID) || '');
+    if (!bid) continue;
+    seen.add(bid);
+    const raw = String(x.COMMENT || '');
+    const c = byBitrixId.get(bid);
+
+    if (!c) {
+      thread.items.push({
+        id: 'c-bx-' + bid,
+        authorId: null,
+        authorName: getUserNameFromCache(x.AUTHOR_ID) || 'Bitrix',
+        text: raw,
+        createdAt: x.CREATED ? new Date(x.CREATED).toISOString() : at,
+        updatedAt: at,
+        rev: 1,
+        history: [],
+        bitrixCommentId: bid,
+        bitrixText: raw,
+        fromBitrix: true
+      });
+      changed = true;
+    } else if (!c.deletedAt && raw !== c.bitrixText) {
+      // поправили в Bitrix — наш префикс "ФИО (календарь):" в тред не переносим
+      c.history = Array.isArray(c.history) ? c.history : [];
+      c.history.push({ text: c.text, at, byId: null, by: 'Bitrix' });
+      c.text = raw.replace(BITRIX_COMMENT_PREFIX_RE, '');
+      c.bitrixText = raw;
+      c.updatedAt = at;
+      c.rev++;
+      changed = true;
+    }
+  }
+
+  // удалили в Bitrix
+  for (const [bid, c] of byBitrixId) {
+    if (seen.has(bid) || c.deletedAt) continue;
+    c.deletedAt = at;
+    c.deletedBy = 'Bitrix';
+    c.rev++;
+    changed = true;
+  }
+
+  if (changed) {
+    thread.rev++;
+    commentsStore[eventId] = thread;
+    await saveCommentsStore();
+  }
+  return changed;
+}
+
+// изменённые элементы из синхронизации -> в очередь на чтение таймлайна
+function queueCommentsPull(source, items) {
+  if (!syncPull('comments')) return;
+  for (const it of items) {
+    if (bitrixItemsById.has(cacheKey(source, it.id))) commentsPullQueue.add(eventIdFor(source, it.id));
+  }
+}
+
+// при обновлении снапшота: порция из очереди, остальное — в следующий раз; -> число изменившихся тредов
+async function pullQueuedComments() {
+  if (!syncPull('comments')) { commentsPullQueue.clear(); return 0; }
+  let changed = 0;
+  for (const id of Array.from(commentsPullQueue).slice(0, COMMENTS_PULL_PER_REFRESH)) {
+    commentsPullQueue.delete(id);
+    try {
+      if (await pullCommentsFromBitrix(id)) changed++;
+    } catch (e) {
+      console.warn('comments pull failed:', id, bitrixErrorText(e));
+    }
+  }
+  if (commentsPullQueue.size) scheduleRefresh('comment_pull');
+  return changed;
+}
+
+// ===================== "Выполнено" <-> Bitrix =====================
+function todayDateKey() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// отметка "выполнено" на стороне Bitrix (для pull)
+function isBitrixDone(item, source) {
+  if (bitrixConfig.sync.doneMode === 'field') return truthyDate(fieldValue(item, 'installDone'));
+  return !!source.doneStage && String(item.stageId || '').trim() === source.doneStage;
+}
+
+async function pushDoneToBitrix(eventId, done) {
+  const ref = parseEventId(eventId);
+  if (!ref || !syncPush('done')) return null;
+  const { source, itemId } = ref;
+
+  const fields = {};
+  if (bitrixConfig.sync.doneMode === 'field') {
+    const code = fieldCode('installDone', source);
+    if (!code) return { ok: false, error: 'done_field_not_configured' };
+    fields[code] = done ? todayDateKey() : '';
+  } else {
+    const stage = done ? source.doneStage : source.reopenStage;
+    if (!stage) return { ok: false, error: 'done_stage_not_configured' };
+    fields.stageId = stage;
+  }
+
+  try {
+    await bitrixPost('crm.item.update', { entityTypeId: source.entityTypeId, id: itemId, fields });
+    return { ok: true };
+  } catch (e) {
+    console.error('bitrix done sync failed:', eventId, bitrixErrorText(e));
+    return { ok: false, error: bitrixErrorText(e) };
+  }
 }
-async function saveCommentsStore() { await writeJsonAtomic(COMMENTS_FILE, commentsStore); }
 
 async function loadGeocodeCache() {
-  const data = await readJsonFileSafe(GEOCODE_CACHE_FILE, {});
-  geocodeCache = (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+  geocodeCache = storage.loadCollection('geocode_cache');
 }
-async function saveGeocodeCache() { await writeJsonAtomic(GEOCODE_CACHE_FILE, geocodeCache); }
+async function saveGeocodeCache() { storage.saveCollection('geocode_cache', geocodeCache); }
 
 async function loadReclSeenStore() {
-  const data = await readJsonFileSafe(RECL_SEEN_FILE, {});
-  reclSeenStore = (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+  reclSeenStore = storage.loadCollection('recl_seen');
 }
-async function saveReclSeenStore() { await writeJsonAtomic(RECL_SEEN_FILE, reclSeenStore); }
+async function saveReclSeenStore() { storage.saveCollection('recl_seen', reclSeenStore); }
 
 async function loadDoneStore() {
-  const data = await readJsonFileSafe(DONE_FILE, {});
-  doneStore = (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+  doneStore = storage.loadCollection('done_status');
+}
+async function saveDoneStore() { storage.saveCollection('done_status', doneStore); }
+
+async function loadRoutePlansStore() {
+  routePlansStore = storage.loadCollection('route_plans');
+}
+async function saveRoutePlansStore() { storage.saveCollection('route_plans', routePlansStore); }
+
+async function loadAbsencesStore() {
+  absencesStore = storage.loadCollection('installer_absences');
 }
-async function saveDoneStore() { await writeJsonAtomic(DONE_FILE, doneStore); }
+async function saveAbsencesStore() { storage.saveCollection('installer_absences', absencesStore); }
+
+async function loadDurationsStore() {
+  durationsStore = storage.loadCollection('job_durations');
+}
+async function saveDurationsStore() { storage.saveCollection('job_durations', durationsStore); }
+
+async function loadVisitsStore() {
+  visitsStore = storage.loadCollection('order_visits');
+}
+async function saveVisitsStore() { storage.saveCollection('order_visits', visitsStore); }
 
 // ===================== UTILS =====================
 function toNum(v) {
@@ -663,54 +1334,822 @@ function parseYandexGeoField(v) {
   return null;
 }
 
-// ===================== COLORS (по правилам) =====================
+// ===================== COLORS (правила, редактируются в admin.html) =====================
+// Хранятся в storage (документ color_rules). Правила проверяются сверху вниз, побеждает первое подошедшее;
+// если не подошло ни одно — fallback. Условия внутри правила объединяются через И,
+// значения внутри списка (стадии/типы камня/ключевые слова) — через ИЛИ. Пустой список = не проверять.
 const COLOR_GRAY_DARK = '#111827';
 const COLOR_BLUE      = '#2563eb';
 const COLOR_GREEN     = '#16a34a';
 const COLOR_PURPLE    = '#7c3aed';
 const COLOR_RED       = '#ef4444';
 
-function detectPickup({ title, stoneText, installComment, extraComment }) {
-  const t = [title, stoneText, installComment, extraComment].filter(Boolean).join(' ').toLowerCase();
-  return (
-    t.includes('самовывоз') ||
-    t.includes('без монта') ||
-    t.includes('безмонтаж') ||
-    t.includes('без установки')
-  );
+const TRI_STATES = ['any', 'yes', 'no'];
+const COLOR_RULES_MAX = 50;
+
+function defaultColorRules() {
+  return {
+    rules: [
+      { id: 'recl',    label: 'Рекламация',             color: COLOR_RED,       sortKey: 3, enabled: true,
+        conditions: { sources: [], stages: [], stoneTypes: [], keywords: [], otk: 'any', recl: 'yes' } },
+      { id: 'no-otk',  label: 'Нет ОТК',                color: COLOR_GRAY_DARK, sortKey: 4, enabled: true,
+        conditions: { sources: [], stages: [], stoneTypes: [], keywords: [], otk: 'no', recl: 'any' } },
+      { id: 'pickup',  label: 'Самовывоз / без монтажа', color: COLOR_PURPLE,    sortKey: 2, enabled: true,
+        conditions: { sources: [], stages: [], stoneTypes: [], keywords: ['самовывоз', 'без монта', 'безмонтаж', 'без установки'], otk: 'any', recl: 'any' } },
+      { id: 'acryl',   label: 'Акрил',                  color: COLOR_BLUE,      sortKey: 1, enabled: true,
+        conditions: { sources: [], stages: [], stoneTypes: ['8142'], keywords: [], otk: 'any', recl: 'any' } },
+      { id: 'quartz',  label: 'Кварц / натуралка / керамика', color: COLOR_GREEN, sortKey: 0, enabled: true,
+        conditions: { sources: [], stages: [], stoneTypes: ['8144', '8270', '8146', '8272'], keywords: [], otk: 'any', recl: 'any' } }
+    ],
+    fallback: { label: 'Прочее', color: COLOR_BLUE, sortKey: 1 }
+  };
 }
 
-function pickColorByRules({ reclEver, otkDate, stoneTypeId, title, stoneText, installComment, extraComment }) {
-  if (reclEver) return COLOR_RED;
-  if (!truthyDate(otkDate)) return COLOR_GRAY_DARK;
+function strList(v, { lower = false, max = 100 } = {}) {
+  const arr = Array.isArray(v) ? v : String(v ?? '').split(/[,\n]/);
+  const out = [];
+  for (const x of arr) {
+    let s = String(x ?? '').trim();
+    if (lower) s = s.toLowerCase();
+    if (s && !out.includes(s)) out.push(s);
+  }
+  return out.slice(0, max);
+}
+
+// строгая проверка набора правил; возвращает { value, errors }
+function validateColorRules(raw) {
+  const errors = [];
+  const src = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+  const rulesSrc = Array.isArray(src.rules) ? src.rules : null;
+  if (!rulesSrc) return { value: null, errors: [{ field: 'rules', error: 'array_required' }] };
+  if (rulesSrc.length > COLOR_RULES_MAX) errors.push({ field: 'rules', error: 'too_many', max: COLOR_RULES_MAX });
+
+  const checkLook = (o, where) => {
+    const label = String(o?.label || '').trim().slice(0, 60);
+    const color = String(o?.color || '').trim().toLowerCase();
+    const sortKey = Number(o?.sortKey);
+    if (!label) errors.push({ field: where + '.label', error: 'required' });
+    if (!/^#[0-9a-f]{6}$/.test(color)) errors.push({ field: where + '.color', error: 'bad_color' });
+    if (!Number.isInteger(sortKey) || sortKey < 0 || sortKey > 99) errors.push({ field: where + '.sortKey', error: 'bad_sort_key' });
+    return { label, color, sortKey };
+  };
+
+  const ids = new Set();
+  const rules = rulesSrc.slice(0, COLOR_RULES_MAX).map((r, i) => {
+    const where = `rules[${i}]`;
+    let id = String(r?.id || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').slice(0, 40);
+    if (!id) id = 'r' + crypto.randomBytes(4).toString('hex');
+    if (ids.has(id)) errors.push({ field: where + '.id', error: 'duplicate_id', id });
+    ids.add(id);
+
+    const c = (r?.conditions && typeof r.conditions === 'object') ? r.conditions : {};
+    const otk = TRI_STATES.includes(c.otk) ? c.otk : 'any';
+    const recl = TRI_STATES.includes(c.recl) ? c.recl : 'any';
+    if (c.otk !== undefined && c.otk !== otk) errors.push({ field: where + '.conditions.otk', error: 'bad_value' });
+    if (c.recl !== undefined && c.recl !== recl) errors.push({ field: where + '.conditions.recl', error: 'bad_value' });
+
+    return {
+      id,
+      ...checkLook(r, where),
+      enabled: r?.enabled !== false,
+      conditions: {
+        sources: strList(c.sources),
+        stages: strList(c.stages),
+        stoneTypes: strList(c.stoneTypes),
+        keywords: strList(c.keywords, { lower: true }),
+        otk,
+        recl
+      }
+    };
+  });
+
+  const fallback = checkLook(src.fallback || {}, 'fallback');
+  return { value: { rules, fallback }, errors };
+}
+
+let colorRules = defaultColorRules();
+
+async function loadColorRules() {
+  const data = storage.getDocument('color_rules', null);
+  if (!data) { colorRules = defaultColorRules(); return; }
+  const { value, errors } = validateColorRules(data);
+  if (errors.length) console.warn('WARN: color_rules are invalid, using defaults:', JSON.stringify(errors));
+  colorRules = errors.length ? defaultColorRules() : value;
+}
+async function saveColorRules() { storage.setDocument('color_rules', colorRules); }
+
+// факты, по которым работают правила: { sourceId, stageId, stoneTypeId, text, hasOtk, reclEver }
+function colorFacts({ sourceId, stageId, reclEver, otkDate, stoneTypeId, title, stoneText, installComment, extraComment }) {
+  return {
+    sourceId: String(sourceId || PRIMARY_SOURCE_ID),
+    stageId: String(stageId || '').trim(),
+    stoneTypeId: (stoneTypeId === null || stoneTypeId === undefined) ? '' : String(stoneTypeId).trim(),
+    text: [title, stoneText, installComment, extraComment].filter(Boolean).join(' ').toLowerCase(),
+    hasOtk: truthyDate(otkDate),
+    reclEver: !!reclEver
+  };
+}
+
+function triMatch(state, v) {
+  if (state === 'yes') return !!v;
+  if (state === 'no') return !v;
+  return true;
+}
 
-  if (detectPickup({ title, stoneText, installComment, extraComment })) return COLOR_PURPLE;
+function ruleMatches(rule, f) {
+  const c = rule.conditions;
+  if (c.sources.length && !c.sources.includes(f.sourceId)) return false;
+  if (c.stages.length && !c.stages.includes(f.stageId)) return false;
+  if (c.stoneTypes.length && !c.stoneTypes.includes(f.stoneTypeId)) return false;
+  if (c.keywords.length && !c.keywords.some(k => f.text.includes(k))) return false;
+  if (!triMatch(c.otk, f.hasOtk)) return false;
+  if (!triMatch(c.recl, f.reclEver)) return false;
+  return true;
+}
 
-  const sid = (stoneTypeId === null || stoneTypeId === undefined) ? '' : String(stoneTypeId).trim();
-  if (sid === '8142') return COLOR_BLUE;
-  if (sid === '8144' || sid === '8270' || sid === '8146' || sid === '8272') return COLOR_GREEN;
-  return COLOR_BLUE;
+// -> { ruleId, label, color, sortKey }
+function classifyByRules(facts, rules = colorRules) {
+  for (const r of rules.rules) {
+    if (!r.enabled) continue;
+    if (ruleMatches(r, facts)) return { ruleId: r.id, label: r.label, color: r.color, sortKey: r.sortKey };
+  }
+  const fb = rules.fallback;
+  return { ruleId: null, label: fb.label, color: fb.color, sortKey: fb.sortKey };
 }
 
 function colorToSortKey(color) {
   const c = String(color || '').toLowerCase();
-  if (c === COLOR_GREEN) return 0;
-  if (c === COLOR_BLUE || c === '#3b82f6') return 1;
-  if (c === COLOR_PURPLE) return 2;
-  if (c === COLOR_RED) return 3;
-  if (c === COLOR_GRAY_DARK || c === '#6b7280') return 4;
+  const r = colorRules.rules.find(x => x.color === c);
+  if (r) return r.sortKey;
+  if (colorRules.fallback.color === c) return colorRules.fallback.sortKey;
   return 9;
 }
 
-// ===================== USERS CACHE + batch ускорение =====================
-const userCache = new Map();
-function userDisplayName(u) {
-  if (!u) return '';
-  const name = [u.NAME, u.SECOND_NAME, u.LAST_NAME].filter(Boolean).join(' ').trim();
-  return name || (u.LOGIN || '') || '';
+// легенда для фронта: только включённые правила + fallback
+function colorLegend() {
+  return colorRules.rules
+    .filter(r => r.enabled)
+    .map(r => ({ id: r.id, label: r.label, color: r.color, sortKey: r.sortKey }))
+    .concat([{ id: null, label: colorRules.fallback.label, color: colorRules.fallback.color, sortKey: colorRules.fallback.sortKey }]);
 }
-function getUserNameFromCache(id) {
-  const uid = normalizeId(id);
+
+// ===================== CAPACITY (лимиты загрузки бригад по дням недели, редактируются в admin.html) =====================
+// Документ capacity_rules. Бригада = монтажник из installersIds. Лимит — на день недели (Пн..Вс):
+// в defaultLimits null = без лимита; у бригады null = как в defaultLimits, CAPACITY_UNLIMITED = без лимита. unit: 'jobs' — считаем заказы, 'points' — баллы (тип камня + надбавка за толщину).
+// onExceed: 'warn' — переносим с предупреждением, 'block' — перенос с перегрузом запрещён.
+const CAPACITY_UNITS = ['jobs', 'points'];
+const CAPACITY_ON_EXCEED = ['warn', 'block'];
+const CAPACITY_CREWS_MAX = 200;
+const CAPACITY_UNLIMITED = -1;
+const WEEK_DAYS = 7;
+
+function defaultCapacityRules() {
+  return {
+    unit: 'jobs',
+    onExceed: 'warn',
+    defaultLimits: Array(WEEK_DAYS).fill(null),
+    crews: [],
+    points: { base: 1, stoneTypes: {}, thickness: [] }
+  };
+}
+
+// строгая проверка; возвращает { value, errors }
+function validateCapacityRules(raw) {
+  const errors = [];
+  const src = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+
+  const unit = CAPACITY_UNITS.includes(src.unit) ? src.unit : 'jobs';
+  if (src.unit !== undefined && src.unit !== unit) errors.push({ field: 'unit', error: 'bad_value' });
+  const onExceed = CAPACITY_ON_EXCEED.includes(src.onExceed) ? src.onExceed : 'warn';
+  if (src.onExceed !== undefined && src.onExceed !== onExceed) errors.push({ field: 'onExceed', error: 'bad_value' });
+
+  const num = (v, where, { min = 0, max = 1000 } = {}) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min || n > max) { errors.push({ field: where, error: 'bad_number' }); return null; }
+    return Math.round(n * 100) / 100;
+  };
+  const limits = (arr, where, { unlimited = false } = {}) => {
+    const a = Array.isArray(arr) ? arr : [];
+    return Array.from({ length: WEEK_DAYS }, (_, i) => (unlimited && Number(a[i]) === CAPACITY_UNLIMITED && a[i] !== '' && a[i] !== null)
+      ? CAPACITY_UNLIMITED
+      : num(a[i], `${where}[${i}]`));
+  };
+
+  const crewsSrc = Array.isArray(src.crews) ? src.crews : [];
+  if (crewsSrc.length > CAPACITY_CREWS_MAX) errors.push({ field: 'crews', error: 'too_many', max: CAPACITY_CREWS_MAX });
+  const seen = new Set();
+  const crews = crewsSrc.slice(0, CAPACITY_CREWS_MAX).map((c, i) => {
+    const installerId = normalizeId(c?.installerId);
+    if (!installerId) errors.push({ field: `crews[${i}].installerId`, error: 'required' });
+    else if (seen.has(installerId)) errors.push({ field: `crews[${i}].installerId`, error: 'duplicate_id' });
+    seen.add(installerId);
+    return { installerId, label: String(c?.label || '').trim().slice(0, 60), limits: limits(c?.limits, `crews[${i}].limits`, { unlimited: true }) };
+  });
+
+  const p = (src.points && typeof src.points === 'object') ? src.points : {};
+  const stoneTypes = {};
+  for (const [k, v] of Object.entries((p.stoneTypes && typeof p.stoneTypes === 'object') ? p.stoneTypes : {})) {
+    const key = String(k).trim();
+    const n = num(v, `points.stoneTypes.${key}`, { max: 100 });
+    if (key && n !== null) stoneTypes[key] = n;
+  }
+  // надбавка за толщину: берётся самая "толстая" подошедшая ступень (minMm <= толщина)
+  const thickness = (Array.isArray(p.thickness) ? p.thickness : []).slice(0, 20).map((t, i) => ({
+    minMm: num(t?.minMm, `points.thickness[${i}].minMm`) ?? 0,
+    add: num(t?.add, `points.thickness[${i}].add`, { max: 100 }) ?? 0
+  })).sort((a, b) => a.minMm - b.minMm);
+
+  return {
+    value: {
+      unit,
+      onExceed,
+      defaultLimits: limits(src.defaultLimits, 'defaultLimits'),
+      crews,
+      points: { base: num(p.base, 'points.base', { max: 100 }) ?? 1, stoneTypes, thickness }
+    },
+    errors
+  };
+}
+
+let capacityRules = defaultCapacityRules();
+
+function loadCapacityRules() {
+  const data = storage.getDocument('capacity_rules', null);
+  if (!data) { capacityRules = defaultCapacityRules(); return; }
+  const { value, errors } = validateCapacityRules(data);
+  if (errors.length) console.warn('WARN: capacity_rules are invalid, using defaults:', JSON.stringify(errors));
+  capacityRules = errors.length ? defaultCapacityRules() : value;
+}
+
+// "вес" заказа: 1 в режиме jobs, иначе баллы по типу камня + надбавка за толщину ("30", "30 мм", "3 см")
+function jobLoad(p, rules = capacityRules) {
+  if (rules.unit !== 'points') return 1;
+  const pts = rules.points;
+  // замер / повторный выезд — базовые баллы: надбавки за камень и толщину про сам монтаж
+  if (VISIT_MINUTES[p?.visitType]) return pts.base;
+  const stone = (p?.stoneTypeId === null || p?.stoneTypeId === undefined) ? '' : String(p.stoneTypeId);
+  let load = (stone && pts.stoneTypes[stone] !== undefined) ? pts.stoneTypes[stone] : pts.base;
+
+  const m = /(\d+(?:[.,]\d+)?)\s*(см|cm)?/i.exec(String(p?.thickness || ''));
+  if (m) {
+    const mm = Number(m[1].replace(',', '.')) * (m[2] ? 10 : 1);
+    let add = 0;
+    for (const t of pts.thickness) if (mm >= t.minMm) add = t.add;
+    load += add;
+  }
+  return load;
+}
+
+// день недели Пн=0..Вс=6 для "YYYY-MM-DD"
+function weekdayIndex(dayKey) {
+  const d = new Date(dayKey + 'T00:00:00Z');
+  return Number.isNaN(d.getTime()) ? -1 : (d.getUTCDay() + 6) % 7;
+}
+
+function capacityLimit(installerId, dayKey, rules = capacityRules) {
+  const wd = weekdayIndex(dayKey);
+  if (wd < 0) return null;
+  const crew = rules.crews.find(c => c.installerId === normalizeId(installerId));
+  const own = crew ? crew.limits[wd] : null;
+  const v = (own === null || own === undefined) ? rules.defaultLimits[wd] : own;
+  return (v === null || v === undefined || v === CAPACITY_UNLIMITED) ? null : v;
+}
+
+// start события -> "YYYY-MM-DD" (в ISO со смещением первые 10 символов — локальная дата)
+function eventDayKey(start) {
+  const m = /^(\d{4}-\d{2}-\d{2})/.exec(String(start || ''));
+  return m ? m[1] : '';
+}
+
+// перегруз, если заказ eventId встанет на dayKey с монтажниками installerIds:
+// -> [{ installerId, name, used, load, limit }] (used — без самого заказа)
+// extra: Map "installerId:dayKey" -> загрузка, ещё не попавшая в снапшот (пачка автоплана)
+function capacityOverload(eventId, dayKey, installerIds, extra = null) {
+  if (!dayKey || !Array.isArray(installerIds) || !installerIds.length) return [];
+  const events = eventsSnapshot.payload?.events || [];
+  const me = events.find(e => String(e?.id) === String(eventId));
+  const load = jobLoad(me?.extendedProps || {});
+
+  const out = [];
+  for (const rawId of installerIds) {
+    const id = normalizeId(rawId);
+    const limit = capacityLimit(id, dayKey);
+    if (limit === null) continue;
+    let used = extra?.get(`${id}:${dayKey}`) || 0;
+    for (const ev of events) {
+      if (String(ev?.id) === String(eventId)) continue;
+      if (ev.extendedProps?.unscheduled === true) continue; // только план — бригаду ещё не занимает
+      if (eventDayKey(ev.start) !== dayKey) continue;
+      if (!(ev.extendedProps?.installersIds || []).some(x => normalizeId(x) === id)) continue;
+      used += jobLoad(ev.extendedProps);
+    }
+    if (used + load > limit) out.push({ installerId: id, name: getUserNameFromCache(id) || `ID ${id}`, used, load, limit });
+  }
+  return out;
+}
+
+// ===================== DURATIONS (длительность монтажа и пересечения по времени) =====================
+// Документ duration_rules: оценка в минутах — base (или по типу камня) + надбавка за толщину, как баллы в capacity.
+// Ручная длительность заказа (job_durations) важнее оценки. Конец события = начало + длительность,
+// только у заказов со временем (у allDay конца нет и пересечения не считаются).
+const DURATION_MIN = 15;
+const DURATION_MAX = 24 * 60;
+
+function defaultDurationRules() {
+  return { base: 180, stoneTypes: {}, thickness: [] };
+}
+
+// строгая проверка; возвращает { value, errors }
+function validateDurationRules(raw) {
+  const errors = [];
+  const src = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+  const minutes = (v, where, { min = DURATION_MIN, max = DURATION_MAX } = {}) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min || n > max) { errors.push({ field: where, error: 'bad_number' }); return null; }
+    return Math.round(n);
+  };
+
+  const stoneTypes = {};
+  for (const [k, v] of Object.entries((src.stoneTypes && typeof src.stoneTypes === 'object') ? src.stoneTypes : {})) {
+    const key = String(k).trim();
+    const n = minutes(v, `stoneTypes.${key}`);
+    if (key && n !== null) stoneTypes[key] = n;
+  }
+  const thickness = (Array.isArray(src.thickness) ? src.thickness : []).slice(0, 20).map((t, i) => ({
+    minMm: minutes(t?.minMm, `thickness[${i}].minMm`, { min: 0, max: 1000 }) ?? 0,
+    add: minutes(t?.add, `thickness[${i}].add`, { min: 0 }) ?? 0
+  })).sort((a, b) => a.minMm - b.minMm);
+
+  return {
+    value: { base: minutes(src.base, 'base') ?? defaultDurationRules().base, stoneTypes, thickness },
+    errors
+  };
+}
+
+let durationRules = defaultDurationRules();
+
+function loadDurationRules() {
+  const data = storage.getDocument('duration_rules', null);
+  if (!data) { durationRules = defaultDurationRules(); return; }
+  const { value, errors } = validateDurationRules(data);
+  if (errors.length) console.warn('WARN: duration_rules are invalid, using defaults:', JSON.stringify(errors));
+  durationRules = errors.length ? defaultDurationRules() : value;
+}
+
+// оценка по типу камня и толщине ("30", "30 мм", "3 см")
+function estimateDuration(p) {
+  const stone = (p?.stoneTypeId === null || p?.stoneTypeId === undefined) ? '' : String(p.stoneTypeId);
+  let min = (stone && durationRules.stoneTypes[stone] !== undefined) ? durationRules.stoneTypes[stone] : durationRules.base;
+  const m = /(\d+(?:[.,]\d+)?)\s*(см|cm)?/i.exec(String(p?.thickness || ''));
+  if (m) {
+    const mm = Number(m[1].replace(',', '.')) * (m[2] ? 10 : 1);
+    let add = 0;
+    for (const t of durationRules.thickness) if (mm >= t.minMm) add = t.add;
+    min += add;
+  }
+  return Math.min(DURATION_MAX, min);
+}
+
+// -> { minutes, source: 'manual' | 'estimate' }
+function eventDuration(idStr, p) {
+  const manual = durationsStore[idStr];
+  if (manual && Number(manual.minutes) > 0) return { minutes: Number(manual.minutes), source: 'manual' };
+  if (VISIT_MINUTES[p?.visitType]) return { minutes: VISIT_MINUTES[p.visitType], source: 'visit' };
+  return { minutes: estimateDuration(p), source: 'estimate' };
+}
+
+// "2026-10-22T10:00:00+03:00" + 90 -> "2026-10-22T11:30:00+03:00" (смещение сохраняем); дата без времени -> null
+function addMinutesToValue(value, minutes) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/.exec(String(value || '').trim());
+  if (!m || !(minutes > 0)) return null;
+  const local = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0)) + minutes * 60000;
+  const iso = new Date(local).toISOString().slice(0, 19);
+  if (!m[7]) return iso;
+  return iso + (m[7] === 'Z' ? 'Z' : (m[7].includes(':') ? m[7] : m[7].slice(0, 3) + ':' + m[7].slice(3)));
+}
+
+// [начало, конец) в мс для заказа со временем; allDay/без даты -> null
+function timeRange(startValue, minutes) {
+  if (!startValue || isDateOnlyString(startValue)) return null;
+  const s = Date.parse(startValue);
+  if (Number.isNaN(s)) return null;
+  return { s, e: s + Math.max(DURATION_MIN, Number(minutes) || 0) * 60000 };
+}
+
+// двойное бронирование: у кого из installerIds заказ eventId (startValue, minutes) пересекается по времени с другим
+// -> [{ installerId, name, otherId, otherTitle, start, end }]
+function timeOverlaps(eventId, startValue, minutes, installerIds) {
+  const r = timeRange(startValue, minutes);
+  const ids = (installerIds || []).map(normalizeId).filter(Boolean);
+  if (!r || !ids.length) return [];
+  const out = [];
+  for (const ev of (eventsSnapshot.payload?.events || [])) {
+    if (String(ev?.id) === String(eventId)) continue;
+    const p = ev.extendedProps || {};
+    if (p.unscheduled === true || p.isDone === true) continue;
+    const o = timeRange(ev.start, p.durationMin);
+    if (!o || !(r.s < o.e && o.s < r.e)) continue;
+    for (const id of ids) {
+      if (!(p.installersIds || []).some(x => normalizeId(x) === id)) continue;
+      out.push({ installerId: id, name: getUserNameFromCache(id) || `ID ${id}`, otherId: String(ev.id), otherTitle: ev.title, start: ev.start, end: ev.end || null });
+    }
+  }
+  return out;
+}
+
+// ===================== SCHEDULE RULES (проверки назначенной даты, редактируются в admin.html) =====================
+// Документ schedule_rules. У каждого правила level: 'off' | 'warn' | 'error'.
+// error — PUT /api/assigned-date отвечает 422 (админ может сохранить с override), warn — сохраняем и отдаём ruleWarnings.
+const SCHEDULE_LEVELS = ['off', 'warn', 'error'];
+const SCHEDULE_OTK_LEAD_MAX = 60;
+const WEEKDAY_NAMES = ['понедельник', 'вторник', 'среда', 'четверг', 'пятница', 'суббота', 'воскресенье'];
+
+function defaultScheduleRules() {
+  return {
+    otkLead: { level: 'warn', days: 1 },     // дата ≥ ОТК + N дней; ОТК не пройден (даты нет) — тоже нарушение
+    transferToShop: { level: 'warn' },       // не раньше передачи в цех
+    past: { level: 'error' },                // не в прошлом
+    weekdays: { level: 'warn', days: [6] },  // нерабочие дни недели (Пн=0..Вс=6)
+    reclReason: { level: 'error' }           // перенос рекламации — только с причиной
+  };
+}
+
+// строгая проверка; возвращает { value, errors }
+function validateScheduleRules(raw) {
+  const errors = [];
+  const src = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+  const def = defaultScheduleRules();
+  const value = {};
+
+  for (const key of Object.keys(def)) {
+    const r = src[key] === undefined ? def[key] : src[key];
+    if (!r || typeof r !== 'object' || Array.isArray(r)) {
+      errors.push({ field: key, error: 'bad_value' });
+      value[key] = def[key];
+      continue;
+    }
+    const level = r.level === undefined ? def[key].level : r.level;
+    if (!SCHEDULE_LEVELS.includes(level)) errors.push({ field: `${key}.level`, error: 'bad_value' });
+    value[key] = { level: SCHEDULE_LEVELS.includes(level) ? level : def[key].level };
+  }
+
+  const lead = src.otkLead?.days === undefined ? def.otkLead.days : Number(src.otkLead.days);
+  if (!Number.isInteger(lead) || lead < 0 || lead > SCHEDULE_OTK_LEAD_MAX) errors.push({ field: 'otkLead.days', error: 'bad_number' });
+  value.otkLead.days = errors.some(e => e.field === 'otkLead.days') ? def.otkLead.days : lead;
+
+  const wd = src.weekdays?.days === undefined ? def.weekdays.days : src.weekdays.days;
+  const wdOk = Array.isArray(wd) && wd.every(d => Number.isInteger(d) && d >= 0 && d < WEEK_DAYS);
+  if (!wdOk) errors.push({ field: 'weekdays.days', error: 'bad_value' });
+  value.weekdays.days = wdOk ? [...new Set(wd)].sort((a, b) => a - b) : def.weekdays.days;
+
+  return { value, errors };
+}
+
+let scheduleRules = defaultScheduleRules();
+
+function loadScheduleRules() {
+  const data = storage.getDocument('schedule_rules', null);
+  if (!data) { scheduleRules = defaultScheduleRules(); return; }
+  const { value, errors } = validateScheduleRules(data);
+  if (errors.length) console.warn('WARN: schedule_rules are invalid, using defaults:', JSON.stringify(errors));
+  scheduleRules = errors.length ? defaultScheduleRules() : value;
+}
+
+function fmtDayKey(dayKey) { return String(dayKey).split('-').reverse().join('.'); }
+
+// нарушения, если заказ ev встанет на dayKey -> [{ rule, level, message, ...детали }]
+// reason — причина переноса (для рекламаций)
+function scheduleViolations(ev, dayKey, { reason = '' } = {}) {
+  const rules = scheduleRules;
+  const p = ev?.extendedProps || {};
+  const out = [];
+  const add = (rule, message, extra = {}) => {
+    if (rules[rule].level !== 'off') out.push({ rule, level: rules[rule].level, message, ...extra });
+  };
+  if (!dayKey) return out;
+
+  const today = todayDateKey();
+  if (dayKey < today) add('past', 'дата в прошлом', { today });
+
+  const otk = eventDayKey(p.otkDate);
+  if (!otk) add('otkLead', 'ОТК ещё не пройден');
+  else {
+    const minDate = addDaysKey(otk, rules.otkLead.days);
+    if (dayKey < minDate) add('otkLead', `раньше ОТК + ${rules.otkLead.days} дн. (${fmtDayKey(minDate)})`, { otkDate: otk, minDate });
+  }
+
+  const tts = eventDayKey(p.transferToShop);
+  if (tts && dayKey < tts) add('transferToShop', `раньше передачи в цех (${fmtDayKey(tts)})`, { transferToShop: tts });
+
+  const wd = weekdayIndex(dayKey);
+  if (rules.weekdays.days.includes(wd) && workCalendar.days[dayKey]?.kind !== 'workday') {
+    add('weekdays', `${WEEKDAY_NAMES[wd]} — нерабочий день`, { weekday: wd });
+  }
+
+  // причина нужна при переносе уже назначенной рекламации, не при первом назначении
+  const recl = RECL_STAGES.has(String(p.stageId || '')) || !!reclSeenStore[String(ev?.id || '')];
+  if (recl && truthyDate(p.assignedAny) && !String(reason || '').trim()) add('reclReason', 'перенос рекламации — нужна причина');
+
+  return out;
+}
+
+// ===================== WORK CALENDAR (праздники, выходные, "склад закрыт", заморозка прошлого) =====================
+// Документ work_calendar: { freezePast, days: { "YYYY-MM-DD": { kind, title, source, at, by } } }.
+// holiday / dayoff / warehouse — день закрыт для монтажей (перенос отклоняется и в index.html, и здесь);
+// workday — рабочий день вопреки правилу нерабочих дней недели (перенесённая суббота).
+// freezePast — прошедшие дни заморожены: нельзя ни поставить на них, ни снять с них назначенный заказ.
+const WORK_DAY_KINDS = ['holiday', 'dayoff', 'warehouse', 'workday'];
+const WORK_DAY_BLOCKING = new Set(['holiday', 'dayoff', 'warehouse']);
+const WORK_DAY_LABELS = { holiday: 'Праздник', dayoff: 'Выходной', warehouse: 'Склад закрыт', workday: 'Рабочий день' };
+const WORK_DAYS_MAX = 3000;
+const WORK_DAY_TITLE_MAX = 120;
+
+let workCalendar = { freezePast: true, days: {} };
+
+function isDayKey(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v || '')) && !Number.isNaN(Date.parse(v + 'T00:00:00Z'));
+}
+
+function loadWorkCalendar() {
+  const data = storage.getDocument('work_calendar', null);
+  const days = {};
+  for (const [k, v] of Object.entries(data?.days || {})) {
+    if (isDayKey(k) && WORK_DAY_KINDS.includes(v?.kind)) days[k] = v;
+  }
+  workCalendar = { freezePast: data?.freezePast !== false, days };
+}
+
+function saveWorkCalendar() {
+  storage.setDocument('work_calendar', workCalendar);
+}
+
+function blockedDay(dayKey) {
+  const d = workCalendar.days[dayKey];
+  return (d && WORK_DAY_BLOCKING.has(d.kind)) ? d : null;
+}
+
+// перенос fromDay -> toDay (fromDay — текущая назначенная дата или пусто):
+// закрытый день или замороженное прошлое -> { error, date, kind?, title? }, иначе null.
+// С прошедшего дня замороженным считается только выполненное: пропущенный монтаж переносится на сегодня и позже.
+function dayLock(fromDay, toDay, done = false) {
+  const b = blockedDay(toDay);
+  if (b) return { error: 'day_blocked', date: toDay, kind: b.kind, title: b.title || WORK_DAY_LABELS[b.kind] };
+  if (workCalendar.freezePast) {
+    const today = todayDateKey();
+    if (toDay && toDay < today) return { error: 'day_frozen', date: toDay };
+    if (done && fromDay && fromDay < today) return { error: 'day_frozen', date: fromDay };
+  }
+  return null;
+}
+
+// текущая назначенная дата события для dayLock (у заказов только с планом её нет)
+function lockedFromDay(ev) {
+  const p = ev?.extendedProps || {};
+  return p.unscheduled === true ? '' : eventDayKey(ev?.start);
+}
+
+function icsDayKey(v) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(String(v || '').trim());
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+}
+
+// производственный календарь -> [{ date, title }]:
+// - JSON xmlcalendar: { year, months: [{ month, days: "1,2,3*,4+" }], holidays?, days? } — только будни
+//   (выходные там и так перечислены, "*" — сокращённый рабочий день);
+// - JSON-список: [{ date, title }] или { days: [...] };
+// - ICS: VEVENT с DTSTART/DTEND (DTEND не включительно).
+function parseProductionCalendar(text) {
+  const src = String(text || '').trim();
+  const out = [];
+
+  if (/^BEGIN:VCALENDAR/i.test(src)) {
+    const lines = src.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    let cur = null;
+    for (const line of lines) {
+      if (/^BEGIN:VEVENT/i.test(line)) { cur = {}; continue; }
+      if (/^END:VEVENT/i.test(line)) {
+        if (cur?.start) {
+          const end = cur.end && cur.end > cur.start ? cur.end : addDaysKey(cur.start, 1);
+          for (let d = cur.start, n = 0; d < end && n < 31; d = addDaysKey(d, 1), n++) out.push({ date: d, title: cur.title || '' });
+        }
+        cur = null;
+        continue;
+      }
+      if (!cur) continue;
+      const i = line.indexOf(':');
+      if (i < 0) continue;
+      const name = line.slice(0, i).split(';')[0].toUpperCase();
+      const value = line.slice(i + 1);
+      if (name === 'DTSTART') cur.start = icsDayKey(value);
+      else if (name === 'DTEND') cur.end = icsDayKey(value);
+      else if (name === 'SUMMARY') cur.title = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+    }
+    return out.filter(x => isDayKey(x.date));
+  }
+
+  const data = JSON.parse(src);
+  if (data && Array.isArray(data.months)) {
+    const year = Number(data.year);
+    const titles = new Map((data.holidays || []).map(h => [Number(h.id), String(h.title || '')]));
+    const dayTitle = new Map();
+    for (const d of (Array.isArray(data.days) ? data.days : [])) {
+      const m = /^(\d{2})\.(\d{2})$/.exec(String(d?.d || ''));
+      if (m && d.h !== undefined) dayTitle.set(`${m[2]}-${m[1]}`, titles.get(Number(d.h)) || '');
+    }
+    for (const mo of data.months) {
+      const month = String(Number(mo.month)).padStart(2, '0');
+      for (const raw of String(mo.days || '').split(',')) {
+        const t = raw.trim();
+        if (!t || t.endsWith('*')) continue;
+        const date = `${year}-${month}-${String(parseInt(t, 10)).padStart(2, '0')}`;
+        if (!isDayKey(date) || weekdayIndex(date) >= 5) continue;
+        out.push({ date, title: dayTitle.get(date.slice(5)) || '' });
+      }
+    }
+    return out;
+  }
+
+  const list = Array.isArray(data) ? data : (Array.isArray(data?.days) ? data.days : []);
+  for (const x of list) {
+    const date = typeof x === 'string' ? x : String(x?.date || '');
+    if (isDayKey(date)) out.push({ date, title: String(x?.title || x?.name || '') });
+  }
+  return out;
+}
+
+// ===================== ABSENCES (отпуска и больничные монтажников) =====================
+// Коллекция installer_absences: диапазон from..to включительно. Правят операторы (index.html → «Отсутствия»).
+// Назначение на день отсутствия не запрещается — PUT /api/assigned-date и /api/installers отдают absenceWarnings;
+// автоплан такие дни бригаде не предлагает.
+const ABSENCE_REASONS = { vacation: 'Отпуск', sick: 'Больничный', dayoff: 'Отгул', other: 'Другое' };
+const ABSENCE_DAYS_MAX = 366;
+const ABSENCE_NOTE_MAX = 300;
+
+// тело запроса -> { value } | { error }
+function normalizeAbsence(b) {
+  const installerId = normalizeId(b?.installerId);
+  if (!installerId) return { error: 'installer_required' };
+  const from = String(b?.from || '').trim();
+  const to = String(b?.to || from).trim();
+  if (!isDayKey(from) || !isDayKey(to)) return { error: 'bad_date' };
+  if (to < from) return { error: 'bad_range' };
+  if (daysBetween(from, to) >= ABSENCE_DAYS_MAX) return { error: 'range_too_long', max: ABSENCE_DAYS_MAX };
+  const reason = String(b?.reason || 'vacation');
+  if (!ABSENCE_REASONS[reason]) return { error: 'bad_reason' };
+  const note = String(b?.note || '').trim().slice(0, ABSENCE_NOTE_MAX);
+  return { value: { installerId, from, to, reason, note } };
+}
+
+// пересечение с другим отсутствием того же монтажника (skipId — само редактируемое)
+function absenceOverlap(v, skipId = null) {
+  return absencesStore.find(a => a.id !== skipId && a.installerId === v.installerId && a.from <= v.to && v.from <= a.to) || null;
+}
+
+function installerAbsence(installerId, dayKey) {
+  const id = normalizeId(installerId);
+  if (!id || !dayKey) return null;
+  return absencesStore.find(a => a.installerId === id && a.from <= dayKey && dayKey <= a.to) || null;
+}
+
+function absencePublic(a) {
+  return { ...a, name: getUserNameFromCache(a.installerId) || `ID ${a.installerId}`, reasonLabel: ABSENCE_REASONS[a.reason] || a.reason };
+}
+
+// кто из installerIds отсутствует в dayKey -> [{ installerId, name, absenceId, reason, reasonLabel, from, to, note }]
+function absenceConflicts(dayKey, installerIds) {
+  const out = [];
+  for (const raw of (installerIds || [])) {
+    const a = installerAbsence(raw, dayKey);
+    if (!a) continue;
+    const { id, ...rest } = absencePublic(a);
+    out.push({ ...rest, absenceId: id });
+  }
+  return out;
+}
+
+function broadcastAbsences() {
+  ssePublish([{ type: 'absences' }]);
+}
+
+// ===================== ROUTES (порядок объезда бригады за день) =====================
+// Старт и финиш — цех (ROUTE_DEPOT_LAT/LNG). Расстояния — по прямой (haversine) или, если задан OSRM_URL,
+// по дорогам через свой OSRM (table + route). Порядок: ближайший сосед, потом 2-opt.
+const ROUTE_DEPOT = {
+  lat: toNum(process.env.ROUTE_DEPOT_LAT) ?? 59.9311,
+  lng: toNum(process.env.ROUTE_DEPOT_LNG) ?? 30.3609,
+  label: String(process.env.ROUTE_DEPOT_LABEL || 'Цех').trim()
+};
+const OSRM_URL = String(process.env.OSRM_URL || '').trim().replace(/\/+$/, '');
+const ROUTE_STOPS_MAX = 40;
+
+function routePlanKey(date, installerId) { return `${date}:${normalizeId(installerId)}`; }
+
+function haversineKm(a, b) {
+  const R = 6371;
+  const rad = (x) => x * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function osrmCoords(points) { return points.map(p => `${p.lng},${p.lat}`).join(';'); }
+
+// матрица расстояний (км) между points; -> { dist, source: 'osrm' | 'haversine', error? }
+async function routeMatrix(points) {
+  const straight = points.map(a => points.map(b => haversineKm(a, b)));
+  if (!OSRM_URL) return { dist: straight, source: 'haversine' };
+  try {
+    const { data } = await axiosInst.get(`${OSRM_URL}/table/v1/driving/${osrmCoords(points)}`, {
+      params: { annotations: 'distance' },
+      timeout: 8000
+    });
+    if (data?.code !== 'Ok' || !Array.isArray(data.distances)) throw new Error(data?.message || data?.code || 'bad_response');
+    // непроезжие пары OSRM отдаёт null — подставляем прямую
+    const dist = data.distances.map((row, i) => row.map((m, j) => (m === null ? straight[i][j] : m / 1000)));
+    return { dist, source: 'osrm' };
+  } catch (e) {
+    return { dist: straight, source: 'haversine', error: e?.message || String(e) };
+  }
+}
+
+// линия по дорогам для готового порядка: [[lat, lng]] или null
+async function routeGeometry(points) {
+  if (!OSRM_URL || points.length < 2) return null;
+  try {
+    const { data } = await axiosInst.get(`${OSRM_URL}/route/v1/driving/${osrmCoords(points)}`, {
+      params: { overview: 'full', geometries: 'geojson' },
+      timeout: 8000
+    });
+    const coords = data?.routes?.[0]?.geometry?.coordinates;
+    return Array.isArray(coords) ? coords.map(([lng, lat]) => [lat, lng]) : null;
+  } catch {
+    return null;
+  }
+}
+
+// длина замкнутого тура 0 -> order... -> 0
+function tourLength(dist, order) {
+  let sum = 0, prev = 0;
+  for (const i of order) { sum += dist[prev][i]; prev = i; }
+  return sum + dist[prev][0];
+}
+
+// индексы 1..n в порядке объезда (0 — цех)
+function solveRoute(dist) {
+  const n = dist.length - 1;
+  const left = new Set(Array.from({ length: n }, (_, i) => i + 1));
+  const order = [];
+  let cur = 0;
+  while (left.size) {
+    let best = null;
+    for (const j of left) if (best === null || dist[cur][j] < dist[cur][best]) best = j;
+    order.push(best);
+    left.delete(best);
+    cur = best;
+  }
+
+  // 2-opt: переворачиваем отрезки, пока тур укорачивается
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        const cand = order.slice(0, i).concat(order.slice(i, k + 1).reverse(), order.slice(k + 1));
+        if (tourLength(dist, cand) + 1e-9 < tourLength(dist, order)) { order.splice(0, order.length, ...cand); improved = true; }
+      }
+    }
+  }
+  return order;
+}
+
+// заказы бригады на день из снапшота: { stops: [{ id, title, address, lat, lng }], skipped: [{ id, title }] }
+function routeStops(date, installerId) {
+  const id = normalizeId(installerId);
+  const stops = [], skipped = [];
+  for (const ev of (eventsSnapshot.payload?.events || [])) {
+    const p = ev.extendedProps || {};
+    if (eventDayKey(ev.start) !== date) continue;
+    if (!(p.installersIds || []).some(x => normalizeId(x) === id)) continue;
+    const title = String(p.orderNumber || ev.title || ev.id);
+    const lat = toNum(p.lat), lng = toNum(p.lng);
+    if (p.hideMarker === true || lat === null || lng === null) { skipped.push({ id: String(ev.id), title }); continue; }
+    stops.push({ id: String(ev.id), title, address: p.address || '', lat, lng });
+  }
+  return { stops, skipped };
+}
+
+// ===================== USERS CACHE + batch ускорение =====================
+const userCache = new Map();
+function userDisplayName(u) {
+  if (!u) return '';
+  const name = [u.NAME, u.SECOND_NAME, u.LAST_NAME].filter(Boolean).join(' ').trim();
+  return name || (u.LOGIN || '') || '';
+}
+function getUserNameFromCache(id) {
+  const uid = normalizeId(id);
   if (!uid) return '';
   const u = userCache.get(uid);
   return u ? (u.name || '') : '';
@@ -752,6 +2191,48 @@ async function fetchUsersByBatch(ids) {
   }
 }
 
+// ===================== СПРАВОЧНИК МОНТАЖНИКОВ (пользователи Bitrix для выбора в карточке) =====================
+// Активные пользователи портала; BITRIX_INSTALLERS_DEPARTMENT_ID (через запятую) — только эти отделы.
+// Кэш на INSTALLERS_DIRECTORY_TTL_MS, заодно пополняет userCache (имена в снапшоте).
+const INSTALLERS_DEPARTMENT_IDS = String(process.env.BITRIX_INSTALLERS_DEPARTMENT_ID || '').split(',').map(normalizeId).filter(Boolean);
+const INSTALLERS_DIRECTORY_TTL_MS = 10 * 60 * 1000;
+const INSTALLERS_MAX = 10;
+let installersDirectory = { at: 0, items: [] };
+let installersDirectoryInFlight = null;
+
+async function fetchInstallersDirectory() {
+  const byId = new Map();
+  for (const dep of (INSTALLERS_DEPARTMENT_IDS.length ? INSTALLERS_DEPARTMENT_IDS : [null])) {
+    let start = 0;
+    while (start !== null) {
+      const filter = { ACTIVE: true };
+      if (dep) filter.UF_DEPARTMENT = dep;
+      const data = await bitrixPost('user.get', { FILTER: filter, sort: 'LAST_NAME', order: 'ASC', start });
+      for (const u of (Array.isArray(data?.result) ? data.result : [])) {
+        const id = normalizeId(u.ID);
+        if (!id) continue;
+        const name = userDisplayName(u);
+        userCache.set(id, { id, name });
+        byId.set(id, { id, name, position: String(u.WORK_POSITION || '').trim() });
+      }
+      start = (data?.next !== undefined && data?.next !== null) ? data.next : null;
+    }
+  }
+  return Array.from(byId.values());
+}
+
+async function loadInstallersDirectory({ force = false } = {}) {
+  if (!force && installersDirectory.at && Date.now() - installersDirectory.at < INSTALLERS_DIRECTORY_TTL_MS) {
+    return installersDirectory.items;
+  }
+  if (!installersDirectoryInFlight) {
+    installersDirectoryInFlight = fetchInstallersDirectory()
+      .then(items => { installersDirectory = { at: Date.now(), items }; return items; })
+      .finally(() => { installersDirectoryInFlight = null; });
+  }
+  return installersDirectoryInFlight;
+}
+
 // ===================== GEOCODE CACHE =====================
 function normAddrKey(addr) {
   return String(addr || '')
@@ -794,7 +2275,8 @@ function manualToFcEvent(m) {
   const id = String(m.id);
   const color = manualEventColor();
   const start = m.start || m.plannedInstall || m.assignedInstall || new Date().toISOString();
-  const freeComment = (commentsStore && commentsStore[id]) ? String(commentsStore[id]) : '';
+  const freeComment = commentsText(id);
+  const commentsCount = visibleComments(id).length;
   const sortKey = colorToSortKey(color);
 
   const sysDone = false;
@@ -810,6 +2292,9 @@ function manualToFcEvent(m) {
     extendedProps: {
       color,
       sortKey,
+      colorLabel: 'Ручная',
+      sourceId: MANUAL_SOURCE_ID,
+      sourceLabel: 'Ручные',
 
       done,
       isDone: sysDone,
@@ -845,50 +2330,41 @@ function manualToFcEvent(m) {
 
       googleEventId: null,
       freeComment,
+      commentsCount,
       hideMarker: !!m.hideMarker
     }
   };
 }
 
 // ===================== BITRIX FIELDS =====================
-const SELECT_FIELDS = [
-  'id', 'title', 'stageId', 'begindate', 'createdTime', 'movedTime', 'updatedTime', 'closedate', 'assignedById', 'parentId2',
-  'ufCrm8_1747916236564', // transferToShop
-  'ufCrm8_1747306212023', // otk
-  'ufCrm8_1744626911134', // planned
-  'ufCrm8_1747908559319', // assigned
-  'ufCrm8_1758806212646', // sys assigned
-  'ufCrm8_1744639197488', // done
-  'ufCrm8_1731616801',
-  'ufCrm8_1765526240853',
-  'ufCrm8_1765526264050',
-  'ufCrm8_1765980928',
-  'ufCrm8_1758702287777',
-  'ufCrm8_1758702046420',
-  'ufCrm8_1744626408052',
-  'ufCrm8_1758702057969',
-  'ufCrm8_1732097971828',
-  'ufCrm8_1744638484827',
-  'ufCrm8_1731616262', // stone type
-  'ufCrm8_1759661234', // material code (fallback)
-  'ufCrm8_1748001850227', // thickness
-  'ufCrm8_1731617119', // manager
-  'ufCrm8_1748338492', // installers
-  'ufCrm8GoogleCalendarEvent'
+const BASE_SELECT_FIELDS = [
+  'id', 'title', 'categoryId', 'stageId', 'begindate', 'createdTime', 'movedTime', 'updatedTime', 'closedate', 'assignedById', 'parentId2'
 ];
 
-async function loadItemsForOneStage(stageId) {
+// системные поля + всё, что замаплено у источника
+function selectFields(source) {
+  const out = new Set(BASE_SELECT_FIELDS);
+  for (const d of BITRIX_FIELD_DEFS) {
+    const code = fieldCode(d.key, source);
+    if (code) out.add(code);
+  }
+  return Array.from(out);
+}
+
+// постраничный crm.item.list по произвольному фильтру; элементы помечаются _src
+async function listItemsByFilter(source, filter) {
   let start = 0;
   let all = [];
   while (true) {
     const data = await bitrixPost('crm.item.list', {
-      entityTypeId: ENTITY_TYPE_ID,
+      entityTypeId: source.entityTypeId,
       start,
-      filter: { '=categoryId': CATEGORY_ID, '=stageId': stageId },
-      select: SELECT_FIELDS
+      filter,
+      select: selectFields(source)
     });
 
     const items = (data?.result?.items) ? data.result.items : [];
+    for (const it of items) it._src = source.id;
     all = all.concat(items);
 
     if (data?.next === undefined || data?.next === null) break;
@@ -910,163 +2386,596 @@ async function mapLimit(arr, limit, fn) {
   return res;
 }
 
-async function loadAllSmartItems({ allStages = false, stageIds = null } = {}) {
-  const useStageIds = Array.isArray(stageIds) && stageIds.length;
-
-  if (useStageIds || !allStages) {
-    const stages = useStageIds ? stageIds : STAGE_FILTER;
-    const parts = await mapLimit(stages, 3, loadItemsForOneStage);
+async function loadAllSmartItems(source) {
+  if (!source.allStagesDefault && source.stages.length) {
+    const parts = await mapLimit(source.stages, 3, stageId =>
+      listItemsByFilter(source, { '=categoryId': source.categoryId, '=stageId': stageId }));
     return parts.flat();
   }
 
-  let start = 0;
-  let all = [];
-  while (true) {
-    const data = await bitrixPost('crm.item.list', {
-      entityTypeId: ENTITY_TYPE_ID,
-      start,
-      filter: { '=categoryId': CATEGORY_ID },
-      select: SELECT_FIELDS
-    });
+  return listItemsByFilter(source, { '=categoryId': source.categoryId });
+}
 
-    const items = (data?.result?.items) ? data.result.items : [];
-    all = all.concat(items);
+// ===================== DELTA SYNC (по updatedTime) =====================
+// В памяти держим "сырые" элементы Bitrix из нужных стадий всех источников. Обычное обновление спрашивает у Bitrix
+// только элементы с updatedTime >= watermark источника (с небольшим нахлёстом), полная сверка — раз в bitrixConfig.fullSyncMs.
+const DELTA_OVERLAP_MS = 2 * 60 * 1000;
+
+const bitrixItemsById = new Map(); // "<sourceId>:<id>" -> item
+const syncState = {
+  watermarks: {},    // sourceId -> ms, max updatedTime из полученных элементов
+  lastFullAt: 0,
+  lastDeltaAt: 0,
+  lastMode: null,
+  lastFetched: 0,
+  lastDropped: 0
+};
 
-    if (data?.next === undefined || data?.next === null) break;
-    start = data.next;
-  }
-  return all;
+function cacheKey(source, id) { return `${source.id}:${id}`; }
+
+function isStageInScope(source, stageId) {
+  if (source.allStagesDefault || !source.stages.length) return true;
+  return source.stages.includes(String(stageId || '').trim());
 }
 
-// ===================== MAP ITEMS -> EVENTS (логика по датам) =====================
-function mapItemsToEvents(items) {
-  const events = [];
-  const skipped = { noTransferToShop: 0, noStartDate: 0, noPlannedNoAssigned: 0 };
-  let reclChanged = false;
+function updatedTimeMs(v) {
+  const t = Date.parse(String(v || ''));
+  return Number.isNaN(t) ? null : t;
+}
 
-  for (const item of items) {
-    const idStr = String(item.id);
-    const stageId = String(item.stageId || '').trim();
+// Bitrix понимает ISO с явным смещением: 2025-01-01T10:00:00+00:00
+function bitrixDateTime(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
 
-    const isReclNow = RECL_STAGES.has(stageId);
-    const isReclEver = isReclNow || !!reclSeenStore[idStr];
+function advanceWatermark(source, items) {
+  for (const it of items) {
+    const t = updatedTimeMs(it.updatedTime);
+    const cur = syncState.watermarks[source.id];
+    if (t !== null && (cur === undefined || cur === null || t > cur)) syncState.watermarks[source.id] = t;
+  }
+}
 
-    if (isReclNow && !reclSeenStore[idStr]) {
-      reclSeenStore[idStr] = { at: new Date().toISOString(), stageId };
-      reclChanged = true;
-    }
+// upsert изменённых; элементы, ушедшие из нужных стадий/категории, выкидываем
+function mergeItemsIntoCache(source, items) {
+  let dropped = 0;
+  for (const it of items) {
+    const key = cacheKey(source, it.id);
+    const inScope = Number(it.categoryId ?? source.categoryId) === source.categoryId && isStageInScope(source, it.stageId);
+    if (inScope) bitrixItemsById.set(key, it);
+    else if (bitrixItemsById.delete(key)) dropped++;
+  }
+  return dropped;
+}
 
-    // 1) карточка существует только если transferToShop заполнен
-    const transferToShop = item.ufCrm8_1747916236564 || null;
-    if (!truthyDate(transferToShop)) { skipped.noTransferToShop++; continue; }
+// точечные id от входящих событий Bitrix (add/update) и удалённые (delete) — обрабатываются следующим delta-проходом.
+// Ключи — cacheKey(source, id): один и тот же элемент может относиться к нескольким источникам с общей сущностью.
+const pendingItemIds = new Set();
+const pendingDeletedIds = new Set();
 
-    const plannedInstall = item.ufCrm8_1744626911134 || null;
-    const assignedInstall = item.ufCrm8_1747908559319 || null;
-    const sysAssignedInstall = item.ufCrm8_1758806212646 || null;
-    const installDone = item.ufCrm8_1744639197488 || null;
+function needFullSync() {
+  if (!syncState.lastFullAt) return true;
+  if (bitrixSources().some(s => syncState.watermarks[s.id] === undefined || syncState.watermarks[s.id] === null)) return true;
+  return (Date.now() - syncState.lastFullAt) >= bitrixConfig.fullSyncMs;
+}
 
-    const assignedAny = firstNonEmpty(assignedInstall, sysAssignedInstall);
+function resetSyncState() {
+  bitrixItemsById.clear();
+  pendingItemIds.clear();
+  pendingDeletedIds.clear();
+  syncState.lastFullAt = 0;
+  syncState.watermarks = {};
+}
 
-    // 2) дата события: installDone > assignedAny > plannedInstall
-    let dateValue = null;
-    if (truthyDate(installDone)) dateValue = installDone;
-    else if (truthyDate(assignedAny)) dateValue = assignedAny;
-    else if (truthyDate(plannedInstall)) dateValue = plannedInstall;
-    else { skipped.noPlannedNoAssigned++; continue; }
+function splitPendingBySource(keys) {
+  const out = new Map(); // source -> [id]
+  for (const key of keys) {
+    const i = key.indexOf(':');
+    const source = sourceById(key.slice(0, i));
+    if (!source) continue;
+    if (!out.has(source)) out.set(source, []);
+    out.get(source).push(Number(key.slice(i + 1)));
+  }
+  return out;
+}
 
-    if (!truthyDate(dateValue)) { skipped.noStartDate++; continue; }
+async function syncBitrixItems() {
+  const sources = bitrixSources();
 
-   // const sysDone = truthyDate(installDone); // system done (Bitrix)
-const sysDone = (String(stageId) === STAGE_SUCCESS);
-    // address/coords
-    const parsed = parseAddressAndCoords(
-      item.ufCrm8_1731616801,
-      item.ufCrm8_1765526240853,
-      item.ufCrm8_1765526264050
-    );
+  if (needFullSync()) {
+    pendingItemIds.clear();
+    pendingDeletedIds.clear();
+    const t0 = Date.now();
+    const parts = await Promise.all(sources.map(loadAllSmartItems));
+
+    bitrixItemsById.clear();
+    const perSource = {};
+    sources.forEach((source, i) => {
+      const items = parts[i];
+      for (const it of items) bitrixItemsById.set(cacheKey(source, it.id), it);
+      delete syncState.watermarks[source.id];
+      advanceWatermark(source, items);
+      // пустой источник: дальше спрашиваем изменения начиная с момента этой сверки
+      if (syncState.watermarks[source.id] === undefined) syncState.watermarks[source.id] = t0;
+      perSource[source.id] = items.length;
+    });
 
-    const cleanAddress = parsed.cleanAddress;
-    let lat = parsed.lat;
-    let lng = parsed.lng;
+    const fetched = parts.reduce((n, p) => n + p.length, 0);
+    syncState.lastFullAt = Date.now();
+    Object.assign(syncState, { lastMode: 'full', lastFetched: fetched, lastDropped: 0 });
+    return { mode: 'full', fetched, dropped: 0, perSource };
+  }
 
-    if (lat === null || lng === null) {
-      const y = parseYandexGeoField(item.ufCrm8_1765980928);
-      if (y) { lat = y.lat; lng = y.lng; }
-    }
+  if (pendingItemIds.size || pendingDeletedIds.size) {
+    const keys = Array.from(pendingItemIds);
+    const deletedKeys = Array.from(pendingDeletedIds);
+    pendingItemIds.clear();
+    pendingDeletedIds.clear();
 
-    if ((lat === null || lng === null) && cleanAddress) {
-      const cached = getCoordsFromCacheByAddress(cleanAddress);
-      if (cached) { lat = cached.lat; lng = cached.lng; }
+    let dropped = 0;
+    for (const key of deletedKeys) {
+      if (bitrixItemsById.delete(key)) dropped++;
     }
 
-    // 4) system done => точку скрыть, coords обнулить
-    const hideMarker = sysDone;
-    //if (hideMarker) { lat = null; lng = null; }
+    // watermark не двигаем: точечная выборка не гарантирует, что всё до этого времени уже получено
+    let fetched = 0;
+    for (const [source, ids] of splitPendingBySource(keys)) {
+      const items = await listItemsByFilter(source, { '@id': ids });
+      fetched += items.length;
+      dropped += mergeItemsIntoCache(source, items);
+      queueCommentsPull(source, items);
+
+      // запрошенный, но не вернувшийся id — удалён в Bitrix
+      const got = new Set(items.map(it => String(it.id)));
+      for (const id of ids) {
+        if (!got.has(String(id)) && bitrixItemsById.delete(cacheKey(source, id))) dropped++;
+      }
+    }
 
-    const orderNumber = String(item.ufCrm8_1758702287777 || '').trim();
-    const customerName = String(item.ufCrm8_1758702046420 || '').trim();
-    const prefix = orderNumber ? `${orderNumber}` : `${item.id}`;
-    let title = prefix;
-    if (customerName) title = `${prefix} — ${customerName}`;
+    syncState.lastDeltaAt = Date.now();
+    Object.assign(syncState, { lastMode: 'ids', lastFetched: fetched, lastDropped: dropped });
+    return { mode: 'ids', fetched, dropped, ids: keys.length, deleted: deletedKeys.length };
+  }
 
-    const phone = firstNonEmpty(item.ufCrm8_1744626408052, item.ufCrm8_1758702057969) || '';
+  // без фильтра по категории: так видны и элементы, переехавшие в другую воронку
+  const parts = await Promise.all(sources.map(source =>
+    listItemsByFilter(source, { '>=updatedTime': bitrixDateTime(syncState.watermarks[source.id] - DELTA_OVERLAP_MS) })));
 
-    const installComment = joinArrayField(item.ufCrm8_1732097971828);
-    const extraComment = joinArrayField(item.ufCrm8_1744638484827);
+  let dropped = 0;
+  sources.forEach((source, i) => {
+    dropped += mergeItemsIntoCache(source, parts[i]);
+    advanceWatermark(source, parts[i]);
+    queueCommentsPull(source, parts[i]);
+  });
 
-    const stoneTypeId = item.ufCrm8_1731616262 ?? null;
-    const stoneTextFromId = stoneTypeToText(stoneTypeId);
-    const materialCode = String(item.ufCrm8_1759661234 || '').trim();
-    const stoneText = (stoneTextFromId || materialCode || '').trim();
+  const fetched = parts.reduce((n, p) => n + p.length, 0);
+  syncState.lastDeltaAt = Date.now();
+  Object.assign(syncState, { lastMode: 'delta', lastFetched: fetched, lastDropped: dropped });
+  return { mode: 'delta', fetched, dropped };
+}
 
-    const thickness = String(item.ufCrm8_1748001850227 || '').trim();
+// ===================== ВЫЕЗДЫ ПО ЗАКАЗУ (замер / монтаж / повторные) =====================
+// Один заказ — несколько событий: монтаж (id заказа, как раньше), замер "<orderId>:measure" и повторные
+// выезды "<orderId>:v<n>" (рекламации, доделки). Дата замера берётся из поля Bitrix measureDate, если оно есть
+// в маппинге источника; иначе она, как и у повторных выездов, хранится у нас (коллекция order_visits).
+// Бригада, "выполнено" и заметка выезда — всегда у нас: полей под них в Bitrix нет.
+const VISIT_TYPES = { measure: 'Замер', install: 'Монтаж', revisit: 'Повторный выезд' };
+const VISIT_ICONS = { measure: '📏', install: '🔧', revisit: '🔁' };
+const VISIT_COLORS = { measure: '#0ea5e9', revisit: '#a855f7' };
+const VISIT_MINUTES = { measure: 60, revisit: 120 }; // длительность по умолчанию: оценка duration_rules — про монтаж
+const VISIT_NOTE_MAX = 500;
+const VISITS_PER_ORDER_MAX = 20;
+
+// "<orderId>:measure" / "<orderId>:v<n>" -> { orderId, type } (null — не выезд)
+function parseVisitId(id) {
+  const m = String(id || '').trim().match(/^(.+):(measure|v\d+)$/);
+  if (!m || !parseEventId(m[1])) return null;
+  return { orderId: m[1], type: m[2] === 'measure' ? 'measure' : 'revisit' };
+}
 
-    const managerId = normalizeId(item.ufCrm8_1731617119);
-    const installersIds = normalizeIdList(item.ufCrm8_1748338492);
+function isVisitId(id) { return !!parseVisitId(id); }
 
-    const managerName = managerId ? getUserNameFromCache(managerId) : '';
-    const installersNames = installersIds.map(getUserNameFromCache).filter(Boolean);
+function orderItem(orderId) {
+  const ref = parseEventId(orderId);
+  return ref ? (bitrixItemsById.get(cacheKey(ref.source, ref.itemId)) || null) : null;
+}
 
-    const otkDate = item.ufCrm8_1747306212023 || null;
+// код поля даты замера в Bitrix ('' — замер этого заказа хранится у нас)
+function measureFieldFor(orderId) {
+  const ref = parseEventId(orderId);
+  return ref ? fieldCode('measureDate', ref.source) : '';
+}
 
-    // 3) цвет: если нет otkDate => серый, иначе по правилам; рекламация => красный
-    const color = pickColorByRules({
-      reclEver: isReclEver,
-      otkDate,
-      stoneTypeId,
-      title,
-      stoneText,
-      installComment,
-      extraComment
-    });
-    const sortKey = colorToSortKey(color);
+// orderId -> [[visitId, rec]] из order_visits
+function visitsByOrder() {
+  const out = new Map();
+  for (const [id, rec] of Object.entries(visitsStore || {})) {
+    const ref = parseVisitId(id);
+    if (!ref || !rec) continue;
+    if (!out.has(ref.orderId)) out.set(ref.orderId, []);
+    out.get(ref.orderId).push([id, rec]);
+  }
+  return out;
+}
 
-    const freeComment = (commentsStore && commentsStore[idStr]) ? String(commentsStore[idStr]) : '';
-    const googleEventId = String(item.ufCrm8GoogleCalendarEvent || '').trim() || null;
+// событие выезда: поля заказа (base = orderBaseProps) + своя дата, бригада, "выполнено" и заметка
+function visitToFcEvent(id, type, date, rec, item, base) {
+  const source = itemSource(item);
+  const stageId = String(item.stageId || '').trim();
+  const color = VISIT_COLORS[type];
+  const installersIds = normalizeIdList(rec?.installerIds);
+  const duration = eventDuration(id, { visitType: type });
 
-    // done:
-    const done = sysDone ? true : (isReclEver ? false : !!doneStore[idStr]);
+  return {
+    id,
+    title: `${VISIT_ICONS[type]} ${VISIT_TYPES[type]} · ${base.title}`,
+    start: date,
+    end: addMinutesToValue(date, duration.minutes),
+    allDay: eventAllDayFromStart(date),
+    backgroundColor: color,
+    borderColor: color,
+    extendedProps: {
+      color,
+      sortKey: colorToSortKey(color),
+      colorLabel: VISIT_TYPES[type],
+
+      visitType: type,
+      orderId: eventIdFor(source, item.id),
+      visitNote: String(rec?.note || ''),
+
+      done: !!rec?.done,
+      isDone: false,
+
+      stageId,
+      stageName: stageName(stageId),
+
+      sourceId: source.id,
+      sourceLabel: source.label,
+      bitrixId: Number(item.id),
+
+      transferToShop: null,
+      otkDate: null,
+
+      plannedInstall: null,
+      unscheduled: false,
+      assignedInstall: date,
+      sysAssignedInstall: null,
+      assignedAny: date,
+      installDone: null,
+
+      orderNumber: base.orderNumber,
+      customerName: base.customerName,
+      phone: base.phone,
+
+      address: base.cleanAddress,
+      rawAddress: fieldValue(item, 'address') || null,
+      lat: base.lat,
+      lng: base.lng,
+      district: districtOf(base.cleanAddress, base.lat, base.lng),
+
+      installComment: base.installComment,
+      extraComment: base.extraComment,
+
+      stoneTypeId: base.stoneTypeId,
+      stoneText: base.stoneText,
+      materialCode: base.materialCode,
+      stoneCode: base.stoneText,
+      thickness: base.thickness,
+      durationMin: duration.minutes,
+      durationSource: duration.source,
+
+      managerId: base.managerId,
+      managerName: base.managerName,
+      installersIds,
+      installersNames: installersIds.map(getUserNameFromCache).filter(Boolean),
+
+      googleEventId: null,
+      freeComment: commentsText(id),
+      commentsCount: visibleComments(id).length,
+
+      hideMarker: false
+    }
+  };
+}
+
+// выезды заказа кроме монтажа: замер из Bitrix (если есть дата) + записи order_visits
+function orderVisitEvents(item, byOrder) {
+  const source = itemSource(item);
+  const orderId = eventIdFor(source, item.id);
+  const own = byOrder.get(orderId) || [];
+  const measureId = `${orderId}:measure`;
+  const measureField = fieldCode('measureDate', source);
+  const measureDate = measureField ? (fieldValue(item, 'measureDate') || null) : null;
+  if (!own.length && !truthyDate(measureDate)) return [];
+
+  const base = orderBaseProps(item);
+  const out = [];
+  if (truthyDate(measureDate)) out.push(visitToFcEvent(measureId, 'measure', measureDate, visitsStore[measureId], item, base));
+  for (const [id, rec] of own) {
+    if (measureField && id === measureId) continue; // дата замера — из Bitrix, запись хранит только бригаду/статус
+    if (!truthyDate(rec.date)) continue;
+    out.push(visitToFcEvent(id, parseVisitId(id).type, rec.date, rec, item, base));
+  }
+  return out;
+}
+
+// всем событиям заказа — общий список выездов (карточка показывает их вместе, по дате)
+function linkOrderEvents(list) {
+  const visits = list
+    .map(e => ({ id: String(e.id), type: e.extendedProps.visitType, start: e.start, done: !!e.extendedProps.done }))
+    .sort((a, b) => String(a.start).localeCompare(String(b.start)));
+  for (const e of list) e.extendedProps.visits = visits;
+}
+
+function patchSnapshotVisit(id, date, rec) {
+  return patchSnapshotEvent(id, 'visit_patch', (ev, p) => {
+    ev.start = date;
+    ev.end = addMinutesToValue(date, p.durationMin);
+    ev.allDay = eventAllDayFromStart(date);
+    p.assignedInstall = date;
+    p.assignedAny = date;
+    p.installersIds = rec.installerIds.slice();
+    p.installersNames = rec.installerIds.map(getUserNameFromCache).filter(Boolean);
+    p.done = !!rec.done;
+    p.visitNote = rec.note || '';
+  });
+}
+
+function visitDateValid(v) {
+  return isDateOnlyString(v) || !Number.isNaN(Date.parse(v));
+}
+
+// правка выезда: дата / бригада / "выполнено" / заметка. Через неё же идут PUT /api/assigned-date, /api/installers
+// и /api/done для id выезда — клиенты работают с выездом как с обычным заказом. Ответ — уже отправлен.
+async function updateVisit(req, res, id, patch) {
+  try {
+    const ref = parseVisitId(id);
+    if (!ref) return res.status(400).json({ ok: false, error: 'bad_id' });
+    const item = orderItem(ref.orderId);
+    let ev = (eventsSnapshot.payload?.events || []).find(e => String(e?.id) === id);
+    // только что созданный выезд может ещё не попасть в снапшот — собираем из записи
+    const saved = visitsStore[id];
+    if (!ev && item && saved && truthyDate(saved.date)) ev = visitToFcEvent(id, ref.type, saved.date, saved, item, orderBaseProps(item));
+    if (!ev || !item) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const p = ev.extendedProps || {};
+    const before = { date: ev.start || null, installerIds: (p.installersIds || []).map(normalizeId), done: !!p.done, note: p.visitNote || '' };
+    const rec = {
+      ...(visitsStore[id] || { orderId: ref.orderId, type: ref.type, date: null, createdAt: new Date().toISOString(), createdBy: sessionUserName(req) }),
+      installerIds: before.installerIds.slice(),
+      done: before.done,
+      note: before.note
+    };
+
+    let date = before.date;
+    if (patch.date !== undefined) {
+      date = String(patch.date || '').trim();
+      if (!date) return res.status(400).json({ ok: false, error: 'value_required' });
+      if (!visitDateValid(date)) return res.status(400).json({ ok: false, error: 'bad_date' });
+      const lock = dayLock(eventDayKey(before.date), eventDayKey(date), before.done);
+      if (lock) return res.status(409).json({ ok: false, ...lock });
+    }
+    if (patch.installerIds !== undefined) {
+      if (!Array.isArray(patch.installerIds)) return res.status(400).json({ ok: false, error: 'installerIds_required' });
+      const ids = Array.from(new Set(normalizeIdList(patch.installerIds)));
+      if (ids.length > INSTALLERS_MAX) return res.status(400).json({ ok: false, error: 'too_many_installers', max: INSTALLERS_MAX });
+      await fetchUsersByBatch(ids).catch(() => {});
+      rec.installerIds = ids;
+    }
+    if (patch.done !== undefined) rec.done = !!patch.done;
+    if (patch.note !== undefined) rec.note = String(patch.note || '').trim().slice(0, VISIT_NOTE_MAX);
+
+    // новая дата — проверяем всю бригаду, та же дата — только добавленных
+    const dateChanged = date !== before.date;
+    const check = dateChanged ? rec.installerIds : rec.installerIds.filter(x => !before.installerIds.includes(x));
+    const overload = capacityOverload(id, eventDayKey(date), check);
+    if (overload.length && capacityRules.onExceed === 'block') {
+      return res.status(409).json({ ok: false, error: 'capacity_exceeded', details: overload });
+    }
+    const absent = absenceConflicts(eventDayKey(date), check);
+    const overlaps = timeOverlaps(id, date, p.durationMin, check);
+
+    const field = ref.type === 'measure' ? measureFieldFor(ref.orderId) : '';
+    if (dateChanged && field) {
+      const { source, itemId } = parseEventId(ref.orderId);
+      await bitrixPost('crm.item.update', { entityTypeId: source.entityTypeId, id: itemId, fields: { [field]: date } });
+    }
+    if (!field) rec.date = date;
+    rec.updatedAt = new Date().toISOString();
+    rec.updatedBy = sessionUserName(req);
+    visitsStore[id] = rec;
+    await saveVisitsStore();
+
+    const after = { date, installerIds: rec.installerIds, done: rec.done, note: rec.note };
+    const meta = { orderId: ref.orderId, type: ref.type, names: rec.installerIds.map(getUserNameFromCache) };
+    if (field && dateChanged) meta.fieldId = field;
+    if (absent.length) meta.absent = absent.map(a => a.installerId);
+    if (overlaps.length) meta.overlaps = [...new Set(overlaps.map(o => o.otherId))];
+    auditLog(req, 'visit.update', { type: 'event', id }, before, after, meta);
+
+    // сразу в снапшот; пересборка обновит список выездов у остальных событий заказа
+    patchSnapshotVisit(id, date, rec);
+    if (dateChanged && field) setTimeout(() => scheduleRefresh('visit_update'), 2500);
+    else scheduleRefresh('visit_update');
+
+    res.json({
+      ok: true, id, value: date, done: rec.done, note: rec.note,
+      installersIds: rec.installerIds, installersNames: rec.installerIds.map(getUserNameFromCache).filter(Boolean),
+      capacityWarnings: overload, absenceWarnings: absent, overlapWarnings: overlaps, ruleWarnings: []
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: 'visit_update_failed', details: e?.response?.data || e?.message || String(e) });
+  }
+}
+
+// ===================== MAP ITEMS -> EVENTS (логика по датам) =====================
+// общие поля заказа (клиент, адрес, камень, менеджер) — одинаковые у монтажа и у остальных выездов
+function orderBaseProps(item) {
+  // address/coords
+  const parsed = parseAddressAndCoords(
+    fieldValue(item, 'address'),
+    fieldValue(item, 'lat'),
+    fieldValue(item, 'lng')
+  );
+
+  const cleanAddress = parsed.cleanAddress;
+  let lat = parsed.lat;
+  let lng = parsed.lng;
+
+  if (lat === null || lng === null) {
+    const y = parseYandexGeoField(fieldValue(item, 'yandexGeo'));
+    if (y) { lat = y.lat; lng = y.lng; }
+  }
+
+  if ((lat === null || lng === null) && cleanAddress) {
+    const cached = getCoordsFromCacheByAddress(cleanAddress);
+    if (cached) { lat = cached.lat; lng = cached.lng; }
+  }
+
+  const orderNumber = String(fieldValue(item, 'orderNumber') || '').trim();
+  const customerName = String(fieldValue(item, 'customerName') || '').trim();
+  const prefix = orderNumber ? `${orderNumber}` : `${item.id}`;
+  let title = prefix;
+  if (customerName) title = `${prefix} — ${customerName}`;
+
+  const phone = firstNonEmpty(fieldValue(item, 'phone'), fieldValue(item, 'phoneAlt')) || '';
+
+  const installComment = joinArrayField(fieldValue(item, 'installComment'));
+  const extraComment = joinArrayField(fieldValue(item, 'extraComment'));
+
+  const stoneTypeId = fieldValue(item, 'stoneType') ?? null;
+  const stoneTextFromId = stoneTypeToText(stoneTypeId);
+  const materialCode = String(fieldValue(item, 'materialCode') || '').trim();
+  const stoneText = (stoneTextFromId || materialCode || '').trim();
+
+  const thickness = String(fieldValue(item, 'thickness') || '').trim();
+
+  const managerId = normalizeId(fieldValue(item, 'manager'));
+  const managerName = managerId ? getUserNameFromCache(managerId) : '';
+
+  return {
+    title, orderNumber, customerName, phone, cleanAddress, lat, lng,
+    installComment, extraComment, stoneTypeId, stoneText, materialCode, thickness, managerId, managerName
+  };
+}
+
+function mapItemsToEvents(items) {
+  const events = [];
+  const skipped = { noTransferToShop: 0, noStartDate: 0, noPlannedNoAssigned: 0 };
+  let reclChanged = false;
+  const byOrder = visitsByOrder();
+
+  for (const item of items) {
+    const source = itemSource(item);
+    const idStr = eventIdFor(source, item.id);
+    const stageId = String(item.stageId || '').trim();
+
+    const isReclNow = RECL_STAGES.has(stageId);
+    const isReclEver = isReclNow || !!reclSeenStore[idStr];
+
+    if (isReclNow && !reclSeenStore[idStr]) {
+      reclSeenStore[idStr] = { at: new Date().toISOString(), stageId };
+      reclChanged = true;
+    }
+
+    // замер и повторные выезды показываем, даже если сам монтаж в календарь ещё не попал
+    const visitEvents = orderVisitEvents(item, byOrder);
+    if (visitEvents.length) {
+      events.push(...visitEvents);
+      linkOrderEvents(visitEvents);
+    }
+
+    // 1) карточка существует только если transferToShop заполнен
+    const transferToShop = fieldValue(item, 'transferToShop') || null;
+    if (!truthyDate(transferToShop)) { skipped.noTransferToShop++; continue; }
+
+    const plannedInstall = fieldValue(item, 'plannedInstall') || null;
+    const assignedInstall = fieldValue(item, 'assignedInstall') || null;
+    const sysAssignedInstall = fieldValue(item, 'sysAssignedInstall') || null;
+    const installDone = fieldValue(item, 'installDone') || null;
+
+    const assignedAny = firstNonEmpty(assignedInstall, sysAssignedInstall);
+
+    // 2) дата события: installDone > assignedAny > plannedInstall
+    let dateValue = null;
+    if (truthyDate(installDone)) dateValue = installDone;
+    else if (truthyDate(assignedAny)) dateValue = assignedAny;
+    else if (truthyDate(plannedInstall)) dateValue = plannedInstall;
+    else { skipped.noPlannedNoAssigned++; continue; }
+
+    if (!truthyDate(dateValue)) { skipped.noStartDate++; continue; }
+
+   // const sysDone = truthyDate(installDone); // system done (Bitrix)
+const sysDone = isSuccessStage(stageId);
+    const {
+      title, orderNumber, customerName, phone, cleanAddress, lat, lng,
+      installComment, extraComment, stoneTypeId, stoneText, materialCode, thickness, managerId, managerName
+    } = orderBaseProps(item);
+
+    // 4) system done => точку скрыть
+    const hideMarker = sysDone;
+
+    const installersIds = normalizeIdList(fieldValue(item, 'installers'));
+    const installersNames = installersIds.map(getUserNameFromCache).filter(Boolean);
+
+    const otkDate = fieldValue(item, 'otkDate') || null;
+    // план есть, а назначенной даты ещё нет — заказ висит в бэклоге
+    const unscheduled = !truthyDate(installDone) && !truthyDate(assignedAny) && truthyDate(plannedInstall);
+
+    // 3) цвет/приоритет/подпись — по правилам из color_rules.json
+    const cls = classifyByRules(colorFacts({
+      sourceId: source.id,
+      stageId,
+      reclEver: isReclEver,
+      otkDate,
+      stoneTypeId,
+      title,
+      stoneText,
+      installComment,
+      extraComment
+    }));
+    const color = cls.color;
+    const sortKey = cls.sortKey;
+
+    const freeComment = commentsText(idStr);
+    const commentsCount = visibleComments(idStr).length;
+    const googleEventId = String(fieldValue(item, 'googleEventId') || '').trim() || null;
+
+    // done: при pull отметка берётся из Bitrix (стадия/поле), иначе — наш общий статус
+    const localDone = syncPull('done') ? isBitrixDone(item, source) : !!doneStore[idStr];
+    const done = sysDone ? true : (isReclEver ? false : localDone);
+
+    const duration = eventDuration(idStr, { stoneTypeId, thickness });
 
     events.push({
       id: idStr,
       title,
       start: dateValue,
+      end: addMinutesToValue(dateValue, duration.minutes),
       allDay: eventAllDayFromStart(dateValue),
       backgroundColor: color,
       borderColor: color,
       extendedProps: {
         color,
         sortKey,
+        colorRuleId: cls.ruleId,
+        colorLabel: cls.label,
 
         done,
         isDone: sysDone,
 
         stageId,
+        stageName: stageName(stageId),
+
+        sourceId: source.id,
+        sourceLabel: source.label,
+        bitrixId: Number(item.id),
 
         transferToShop,
         otkDate,
 
         plannedInstall,
+        unscheduled,
         assignedInstall: assignedInstall || null,
         sysAssignedInstall: sysAssignedInstall || null,
         assignedAny: assignedAny || null,
@@ -1077,9 +2986,10 @@ const sysDone = (String(stageId) === STAGE_SUCCESS);
         phone,
 
         address: cleanAddress,
-        rawAddress: item.ufCrm8_1731616801 || null,
+        rawAddress: fieldValue(item, 'address') || null,
         lat,
         lng,
+        district: districtOf(cleanAddress, lat, lng),
 
         installComment,
         extraComment,
@@ -1089,6 +2999,8 @@ const sysDone = (String(stageId) === STAGE_SUCCESS);
         materialCode,
         stoneCode: stoneText,
         thickness,
+        durationMin: duration.minutes,
+        durationSource: duration.source,
 
         managerId,
         managerName,
@@ -1097,10 +3009,13 @@ const sysDone = (String(stageId) === STAGE_SUCCESS);
 
         googleEventId,
         freeComment,
+        commentsCount,
 
+        visitType: 'install',
         hideMarker
       }
     });
+    if (visitEvents.length) linkOrderEvents([events[events.length - 1], ...visitEvents]);
   }
 
   return { events, skipped, reclChanged };
@@ -1115,8 +3030,20 @@ let eventsSnapshot = {
   digest: null
 };
 
+// snapshot — мегабайты JSON и пишется после каждого патча: не в синхронный SQLite (он стопорит event loop,
+// а с ним SSE и все запросы во время drag&drop), а отдельным файлом, асинхронно и атомарно (.tmp + rename).
+// Вызовы во время записи склеиваются: по её окончании пишется одна, самая свежая версия.
+const SNAPSHOT_FILE = path.join(__dirname, 'events_snapshot.json');
+let snapshotWrite = null;
+let snapshotWritePending = false;
+
 async function loadSnapshotFromDisk() {
-  const snap = await readJsonFileSafe(SNAPSHOT_FILE, null);
+  let snap = null;
+  try {
+    snap = JSON.parse(await fs.readFile(SNAPSHOT_FILE, 'utf8'));
+  } catch (e) {
+    if (e?.code !== 'ENOENT') console.error('snapshot read error:', e?.message || e);
+  }
   if (!snap || typeof snap !== 'object') return false;
   if (!snap.payload || !snap.payload.events) return false;
 
@@ -1132,43 +3059,120 @@ async function loadSnapshotFromDisk() {
   return true;
 }
 
-async function saveSnapshotToDisk() {
-  const snap = {
-    version: eventsSnapshot.version,
-    builtAt: eventsSnapshot.builtAt,
-    key: eventsSnapshot.key,
-    digest: eventsSnapshot.digest,
-    payload: eventsSnapshot.payload
-  };
-  await writeJsonAtomic(SNAPSHOT_FILE, snap);
+function saveSnapshotToDisk() {
+  if (snapshotWrite) { snapshotWritePending = true; return snapshotWrite; }
+  snapshotWrite = (async () => {
+    try {
+      do {
+        snapshotWritePending = false;
+        const snap = {
+          version: eventsSnapshot.version,
+          builtAt: eventsSnapshot.builtAt,
+          key: eventsSnapshot.key,
+          digest: eventsSnapshot.digest,
+          payload: eventsSnapshot.payload
+        };
+        const tmp = SNAPSHOT_FILE + '.tmp';
+        await fs.writeFile(tmp, JSON.stringify(snap), 'utf8');
+        await fs.rename(tmp, SNAPSHOT_FILE);
+      } while (snapshotWritePending);
+    } finally {
+      snapshotWrite = null;
+    }
+  })();
+  return snapshotWrite;
 }
 
+// digest покрывает ВСЕ поля события (монтажники, телефон, адрес, заголовок, комментарии…),
+// иначе правки этих полей не доходят до клиентов
 function snapshotDigest(payload) {
   const h = crypto.createHash('sha1');
   const evs = payload?.events || [];
   h.update(String(evs.length));
   for (const e of evs) {
-    const p = e.extendedProps || {};
-    h.update('|');
-    h.update(String(e.id));
-    h.update('|');
-    h.update(String(e.start || ''));
-    h.update('|');
-    h.update(String(e.backgroundColor || ''));
-    h.update('|');
-    h.update(String(!!p.done));
-    h.update('|');
-    h.update(String(!!p.isDone));
-    h.update('|');
-    h.update(String(!!p.hideMarker));
-    h.update('|');
-    h.update(String(p.otkDate || ''));
     h.update('|');
-    h.update(String(p.stageId || ''));
+    h.update(JSON.stringify(e));
   }
   return h.digest('hex');
 }
 
+// ===================== SNAPSHOT DIFF -> SSE =====================
+const EVENT_TOP_FIELDS = ['title', 'start', 'end', 'allDay', 'backgroundColor', 'borderColor'];
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function cloneEvent(ev) {
+  return ev ? JSON.parse(JSON.stringify(ev)) : null;
+}
+
+// одно событие: null если ничего не поменялось
+function diffEvent(prev, next) {
+  const fields = {};
+  const props = {};
+  let changed = false;
+
+  for (const k of EVENT_TOP_FIELDS) {
+    if (!sameJson(prev[k], next[k])) { fields[k] = next[k] ?? null; changed = true; }
+  }
+
+  const pp = prev.extendedProps || {};
+  const np = next.extendedProps || {};
+  const keys = new Set([...Object.keys(pp), ...Object.keys(np)]);
+  for (const k of keys) {
+    if (!sameJson(pp[k], np[k])) { props[k] = np[k] ?? null; changed = true; }
+  }
+
+  return changed ? { fields, props } : null;
+}
+
+function diffEventLists(prevEvents, nextEvents) {
+  const prevById = new Map((prevEvents || []).map(e => [String(e.id), e]));
+  const added = [];
+  const changed = [];
+  const seen = new Set();
+
+  for (const ev of (nextEvents || [])) {
+    const id = String(ev.id);
+    seen.add(id);
+    const old = prevById.get(id);
+    if (!old) { added.push(ev); continue; }
+    const d = diffEvent(old, ev);
+    if (d) changed.push({ id, ...d });
+  }
+
+  const removed = [];
+  for (const id of prevById.keys()) {
+    if (!seen.has(id)) removed.push(id);
+  }
+
+  return { added, changed, removed };
+}
+
+// рассылаем изменения между двумя версиями снапшота; слишком большой diff -> просто version
+function publishSnapshotDiff(prevEvents, nextEvents, prevVersion) {
+  const d = diffEventLists(prevEvents, nextEvents);
+  const total = d.added.length + d.changed.length + d.removed.length;
+
+  if (!prevEvents || !prevEvents.length || total > SSE_DIFF_MAX) {
+    broadcastVersion();
+    return;
+  }
+  // порядок/служебное поменялось, видимых изменений нет — клиенту достаточно сдвинуть версию
+  if (!total) {
+    ssePublish([{ type: 'version', version: dataVersion, prevVersion }]);
+    return;
+  }
+
+  const base = { version: dataVersion, prevVersion };
+  const messages = [];
+  for (const ev of d.added) messages.push({ type: 'added', ...base, event: ev });
+  for (const c of d.changed) messages.push({ type: 'changed', ...base, id: c.id, fields: c.fields, props: c.props });
+  for (const id of d.removed) messages.push({ type: 'removed', ...base, id });
+  ssePublish(messages);
+}
+
 let refreshInFlight = null;
 let refreshPending = false;
 let refreshTimer = null;
@@ -1187,17 +3191,17 @@ async function refreshSnapshot(reason = 'manual') {
   refreshInFlight = (async () => {
     const t0 = Date.now();
     try {
-      const allStages = DEFAULT_ALL_STAGES_ON;
-      const stageIds = null;
-
-      const items = await loadAllSmartItems({ allStages, stageIds });
+      const sync = await syncBitrixItems();
+      // правки комментариев в таймлайне Bitrix — до сборки, чтобы freeComment/поиск были свежими
+      sync.commentsPulled = await pullQueuedComments();
+      const items = Array.from(bitrixItemsById.values());
 
       // warm users cache
       const ids = [];
       for (const it of items) {
-        const mid = normalizeId(it.ufCrm8_1731617119);
+        const mid = normalizeId(fieldValue(it, 'manager'));
         if (mid) ids.push(mid);
-        const arr = normalizeIdList(it.ufCrm8_1748338492);
+        const arr = normalizeIdList(fieldValue(it, 'installers'));
         for (const x of arr) ids.push(x);
       }
       await fetchUsersByBatch(ids);
@@ -1216,9 +3220,11 @@ async function refreshSnapshot(reason = 'manual') {
           builtAt: new Date().toISOString(),
           perfMs: Date.now() - t0,
           bitrixItems: items.length,
+          sync,
           eventsOut: mapped.events.length,
           manualOut: manualEvents.length,
-          skipped: mapped.skipped
+          skipped: mapped.skipped,
+          legend: colorLegend()
         },
         events: mapped.events.concat(manualEvents)
       };
@@ -1227,12 +3233,15 @@ async function refreshSnapshot(reason = 'manual') {
 
       if (eventsSnapshot.digest && eventsSnapshot.digest === digest) {
         eventsSnapshot.builtAt = Date.now();
-        eventsSnapshot.payload.meta = { ...(eventsSnapshot.payload.meta || {}), lastRebuildMs: Date.now() - t0, reason, unchanged: true };
+        eventsSnapshot.payload.meta = { ...(eventsSnapshot.payload.meta || {}), lastRebuildMs: Date.now() - t0, reason, sync, legend: colorLegend(), unchanged: true };
         await saveSnapshotToDisk().catch(() => {});
         return;
       }
 
-      dataVersion = Date.now();
+      const prevEvents = eventsSnapshot.payload?.events || [];
+      const prevVersion = dataVersion;
+
+      bumpDataVersion();
       payload.version = dataVersion;
 
       eventsSnapshot = {
@@ -1244,7 +3253,7 @@ async function refreshSnapshot(reason = 'manual') {
       };
 
       await saveSnapshotToDisk().catch(() => {});
-      broadcastVersion();
+      publishSnapshotDiff(prevEvents, payload.events, prevVersion);
     } catch (e) {
       console.error('refreshSnapshot error:', e?.response?.data || e?.message || e);
     } finally {
@@ -1260,7 +3269,8 @@ async function refreshSnapshot(reason = 'manual') {
 }
 
 // ✅ ПАТЧ СНАПШОТА (чтобы перенос сразу был виден всем, без "двух перезагрузок")
-function patchSnapshotAssignedDate(idStr, value) {
+// mutate(ev, p) меняет событие на месте; вернул false — патч не нужен
+function patchSnapshotEvent(idStr, reason, mutate) {
   try {
     const evs = eventsSnapshot?.payload?.events;
     if (!Array.isArray(evs)) return false;
@@ -1271,30 +3281,25 @@ function patchSnapshotAssignedDate(idStr, value) {
     const ev = evs[idx];
     const p = ev.extendedProps || {};
 
-    // если системно выполнено — не патчим
-    if (p.isDone === true || p.hideMarker === true) return false;
-
-    ev.start = value;
-    ev.allDay = eventAllDayFromStart(value);
-
-    p.assignedInstall = value;
-    p.assignedAny = value;
+    const before = cloneEvent(ev);
+    const prevVersion = dataVersion;
 
+    if (mutate(ev, p) === false) return false;
     ev.extendedProps = p;
 
     // bump version
-    dataVersion = Date.now();
+    bumpDataVersion();
     eventsSnapshot.version = dataVersion;
     eventsSnapshot.builtAt = Date.now();
     if (eventsSnapshot.payload) {
       eventsSnapshot.payload.version = dataVersion;
-      eventsSnapshot.payload.meta = { ...(eventsSnapshot.payload.meta || {}), reason: 'assigned_patch', patchedAt: new Date().toISOString() };
+      eventsSnapshot.payload.meta = { ...(eventsSnapshot.payload.meta || {}), reason, patchedAt: new Date().toISOString() };
     }
     eventsSnapshot.digest = snapshotDigest(eventsSnapshot.payload);
 
     // persist + notify
     saveSnapshotToDisk().catch(() => {});
-    broadcastVersion();
+    publishSnapshotDiff([before], [ev], prevVersion);
 
     return true;
   } catch {
@@ -1302,129 +3307,927 @@ function patchSnapshotAssignedDate(idStr, value) {
   }
 }
 
-function patchSnapshotManualDate(idStr, value) {
-  try {
-    const evs = eventsSnapshot?.payload?.events;
-    if (!Array.isArray(evs)) return false;
+function patchSnapshotAssignedDate(idStr, value) {
+  return patchSnapshotEvent(idStr, 'assigned_patch', (ev, p) => {
+    // если системно выполнено — не патчим
+    if (p.isDone === true || p.hideMarker === true) return false;
 
-    const idx = evs.findIndex(e => String(e?.id) === String(idStr));
-    if (idx < 0) return false;
+    ev.start = value;
+    ev.end = addMinutesToValue(value, p.durationMin);
+    ev.allDay = eventAllDayFromStart(value);
+    p.assignedInstall = value;
+    p.assignedAny = value;
+    p.unscheduled = !truthyDate(value) && !truthyDate(p.installDone) && truthyDate(p.plannedInstall);
+  });
+}
 
-    const ev = evs[idx];
-    const p = ev.extendedProps || {};
+function patchSnapshotDuration(idStr, duration) {
+  return patchSnapshotEvent(idStr, 'duration_patch', (ev, p) => {
+    p.durationMin = duration.minutes;
+    p.durationSource = duration.source;
+    ev.end = addMinutesToValue(ev.start, duration.minutes);
+  });
+}
 
+function patchSnapshotManualDate(idStr, value) {
+  return patchSnapshotEvent(idStr, 'manual_patch', (ev, p) => {
     ev.start = value;
     ev.allDay = eventAllDayFromStart(value);
     p.assignedInstall = value;
     p.assignedAny = value;
-    ev.extendedProps = p;
-
-    dataVersion = Date.now();
-    eventsSnapshot.version = dataVersion;
-    eventsSnapshot.builtAt = Date.now();
-    if (eventsSnapshot.payload) {
-      eventsSnapshot.payload.version = dataVersion;
-      eventsSnapshot.payload.meta = { ...(eventsSnapshot.payload.meta || {}), reason: 'manual_patch', patchedAt: new Date().toISOString() };
-    }
-    eventsSnapshot.digest = snapshotDigest(eventsSnapshot.payload);
+    p.unscheduled = !truthyDate(value) && !truthyDate(p.installDone) && truthyDate(p.plannedInstall);
+  });
+}
 
-    saveSnapshotToDisk().catch(() => {});
-    broadcastVersion();
-    return true;
-  } catch {
-    return false;
-  }
+function patchSnapshotInstallers(idStr, ids) {
+  return patchSnapshotEvent(idStr, 'installers_patch', (ev, p) => {
+    p.installersIds = ids.slice();
+    p.installersNames = ids.map(getUserNameFromCache).filter(Boolean);
+  });
 }
 
 // ===================== Bitrix polling (страховка реактивности) =====================
-const POLL_INTERVAL_MS = Math.max(2000, Number(process.env.BITRIX_POLL_MS) || 8000);
-let lastTopUpdatedTime = null;
+let lastTopUpdatedTime = {}; // sourceId -> updatedTime верхнего элемента
 
 async function pollBitrixTopUpdate() {
   try {
-    const data = await bitrixPost('crm.item.list', {
-      entityTypeId: ENTITY_TYPE_ID,
-      start: 0,
-      order: { updatedTime: 'DESC' },
-      filter: { '=categoryId': CATEGORY_ID },
-      select: ['id', 'updatedTime', 'stageId']
-    });
-
-    const top = (data?.result?.items && data.result.items[0]) ? data.result.items[0] : null;
-    const ut = top?.updatedTime ? String(top.updatedTime) : null;
+    let changed = false;
+    for (const source of bitrixSources()) {
+      const data = await bitrixPost('crm.item.list', {
+        entityTypeId: source.entityTypeId,
+        start: 0,
+        order: { updatedTime: 'DESC' },
+        filter: { '=categoryId': source.categoryId },
+        select: ['id', 'updatedTime', 'stageId']
+      });
+
+      const top = (data?.result?.items && data.result.items[0]) ? data.result.items[0] : null;
+      const ut = top?.updatedTime ? String(top.updatedTime) : null;
+      const prev = lastTopUpdatedTime[source.id];
+
+      if (ut && prev && ut !== prev) changed = true;
+      if (ut) lastTopUpdatedTime[source.id] = ut;
+    }
 
-    if (ut && lastTopUpdatedTime && ut !== lastTopUpdatedTime) {
+    if (changed) {
       scheduleRefresh('bitrix_poll');
+    } else if (syncState.lastFullAt && needFullSync()) {
+      scheduleRefresh('full_reconcile');
     }
-    if (ut) lastTopUpdatedTime = ut;
   } catch {
   } finally {
-    setTimeout(pollBitrixTopUpdate, POLL_INTERVAL_MS);
+    setTimeout(pollBitrixTopUpdate, bitrixConfig.pollMs);
   }
 }
 
 // ===================== API =====================
 
+// ===================== /api/events: диапазон, компактная проекция, ETag, готовые сжатые байты =====================
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD — события с датой в [from, to) (как startStr/endStr у FullCalendar);
+//   диапазон расширяется на сутки в обе стороны: даты Bitrix приходят с разными смещениями часового пояса.
+// ?fields=compact — контракт для mobile.html: верхний уровень id/title/start/end/allDay/backgroundColor
+// и extendedProps из COMPACT_EVENT_PROPS. Всё, что mobile.html читает из extendedProps, должно быть в этом списке
+// (новое поле в mobile.html — сразу сюда); пустые значения ('' / null) не передаются.
+// ?sources=main,sills — только события указанных источников (manual — ручные).
+const gzipAsync = promisify(zlib.gzip);
+
+const COMPACT_EVENT_PROPS = [
+  // цвет, порядок в дне, маркер на карте
+  'color', 'sortKey', 'colorLabel', 'hideMarker',
+  // статус, стадия, источник
+  'done', 'isDone', 'stageId', 'stageName', 'sourceId', 'sourceLabel',
+  // даты и длительность
+  'otkDate', 'plannedInstall', 'assignedInstall', 'assignedAny', 'durationMin', 'durationSource',
+  // заказ и клиент
+  'orderNumber', 'customerName', 'phone', 'address', 'lat', 'lng', 'stoneText', 'materialCode', 'managerName',
+  // бригада: пикер монтажников отправляет полный новый состав — без installersIds он затёр бы текущий
+  'installersIds', 'installersNames',
+  // комментарии
+  'installComment', 'extraComment', 'freeComment', 'commentsCount',
+  // выезд по заказу: замер / повторный (у монтажа — 'install')
+  'visitType', 'visitNote', 'orderId'
+];
+
+const EVENTS_BODY_CACHE_LIMIT = 64;
+const eventsBodyCache = new Map(); // variantKey -> { version, promise }
+
+function parseDateKeyParam(v) {
+  const s = String(v || '').trim().slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) ? s : null;
+}
+
+function shiftDateKey(key, days) {
+  const [y, m, d] = key.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+function eventDateKey(ev) {
+  return String(ev?.start || '').slice(0, 10);
+}
+
+function compactEvent(ev) {
+  const p = ev.extendedProps || {};
+  const cp = {};
+  for (const k of COMPACT_EVENT_PROPS) {
+    if (p[k] !== undefined && p[k] !== null && p[k] !== '') cp[k] = p[k];
+  }
+  return {
+    id: ev.id,
+    title: ev.title,
+    start: ev.start,
+    end: ev.end || null,
+    allDay: ev.allDay,
+    backgroundColor: ev.backgroundColor,
+    extendedProps: cp
+  };
+}
+
+function parseEventsQuery(q) {
+  const from = parseDateKeyParam(q?.from);
+  const to = parseDateKeyParam(q?.to);
+  const compact = String(q?.fields || '').toLowerCase() === 'compact';
+  const sources = String(q?.sources || '').split(',').map(x => x.trim()).filter(Boolean).sort();
+  return { from, to, compact, sources, key: `${from || ''}|${to || ''}|${compact ? 'c' : 'f'}|${sources.join(',')}` };
+}
+
+function eventSourceId(ev) {
+  return ev?.extendedProps?.sourceId || PRIMARY_SOURCE_ID;
+}
+
+function buildEventsPayload({ from, to, compact, sources }) {
+  const base = eventsSnapshot.payload || { version: dataVersion, meta: {}, events: [] };
+  if (!from && !to && !compact && !sources.length) return base;
+
+  const lo = from ? shiftDateKey(from, -1) : null;
+  const hi = to ? shiftDateKey(to, 1) : null;
+
+  let events = base.events || [];
+  if (lo || hi) {
+    events = events.filter(ev => {
+      const k = eventDateKey(ev);
+      if (!k) return false;
+      if (lo && k < lo) return false;
+      if (hi && k >= hi) return false;
+      return true;
+    });
+  }
+  if (sources.length) events = events.filter(ev => sources.includes(eventSourceId(ev)));
+  if (compact) events = events.map(compactEvent);
+
+  return {
+    version: base.version,
+    meta: {
+      ...(base.meta || {}),
+      range: (from || to) ? { from, to } : null,
+      fields: compact ? 'compact' : 'full',
+      sources: sources.length ? sources : null,
+      eventsTotal: (base.events || []).length
+    },
+    events
+  };
+}
+
+// сериализуем и сжимаем один раз на версию снапшота и вариант запроса
+function getEventsBody(query) {
+  const version = eventsSnapshot.version;
+  const hit = eventsBodyCache.get(query.key);
+  if (hit && hit.version === version) return hit.promise;
+
+  const promise = (async () => {
+    const json = Buffer.from(JSON.stringify(buildEventsPayload(query)), 'utf8');
+    const gzip = await gzipAsync(json);
+    const etag = `W/"ev-${version}-${sha256hex(query.key).slice(0, 12)}"`;
+    return { etag, json, gzip };
+  })();
+
+  eventsBodyCache.delete(query.key);
+  eventsBodyCache.set(query.key, { version, promise });
+
+  if (eventsBodyCache.size > EVENTS_BODY_CACHE_LIMIT) {
+    for (const [k, v] of eventsBodyCache) {
+      if (v.version !== version) eventsBodyCache.delete(k);
+    }
+    while (eventsBodyCache.size > EVENTS_BODY_CACHE_LIMIT) {
+      eventsBodyCache.delete(eventsBodyCache.keys().next().value);
+    }
+  }
+
+  promise.catch(() => eventsBodyCache.delete(query.key));
+  return promise;
+}
+
+function etagMatches(req, etag) {
+  const inm = String(req.headers['if-none-match'] || '').trim();
+  if (!inm) return false;
+  if (inm === '*') return true;
+  const bare = (t) => t.trim().replace(/^W\//, '');
+  return inm.split(',').some(t => bare(t) === bare(etag));
+}
+
 // 🚀 мгновенно: отдаём snapshot из памяти (и с диска после рестарта)
 app.get('/api/events', requireAuth, async (req, res) => {
   if (!eventsSnapshot.payload?.events?.length) {
     scheduleRefresh('first_request');
   }
-  res.json(eventsSnapshot.payload);
+
+  try {
+    const body = await getEventsBody(parseEventsQuery(req.query));
+
+    res.setHeader('ETag', body.etag);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('Vary', 'Accept-Encoding');
+
+    if (etagMatches(req, body.etag)) return res.status(304).end();
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    if (req.acceptsEncodings('gzip') === 'gzip') {
+      res.setHeader('Content-Encoding', 'gzip');
+      res.setHeader('Content-Length', String(body.gzip.length));
+      return res.end(body.gzip);
+    }
+    res.setHeader('Content-Length', String(body.json.length));
+    return res.end(body.json);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: 'events_failed', details: e?.message || String(e) });
+  }
+});
+
+// ===================== SEARCH (по всему снапшоту) =====================
+// календарь грузит только видимый период, поэтому поиск по заказам идёт здесь:
+// клиент получает найденные id с датами и сам переходит к нужной.
+const SEARCH_LIMIT_MAX = 50;
+let searchIndex = { version: null, hay: new Map() }; // id -> нормализованный текст, на версию снапшота
+
+function normSearch(s) {
+  return String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// те же поля, что и в поиске календаря (index.html buildHaystack)
+function eventHaystack(ev) {
+  const p = ev?.extendedProps || {};
+  const installers = Array.isArray(p.installersNames) && p.installersNames.length
+    ? p.installersNames
+    : (Array.isArray(p.installersIds) ? p.installersIds.map(x => `ID ${x}`) : []);
+  return normSearch([
+    ev?.title,
+    p.orderNumber,
+    p.customerName,
+    p.address,
+    p.rawAddress,
+    p.phone,
+    p.stoneText || p.stoneType || p.stoneCode || p.materialCode,
+    p.managerName || (p.managerId ? `ID ${p.managerId}` : ''),
+    installers.join(' '),
+    p.installComment,
+    p.extraComment,
+    p.freeComment,
+    p.sourceLabel
+  ].filter(Boolean).join(' '));
+}
+
+function searchHaystack(ev) {
+  if (searchIndex.version !== eventsSnapshot.version) searchIndex = { version: eventsSnapshot.version, hay: new Map() };
+  const id = String(ev.id);
+  let h = searchIndex.hay.get(id);
+  if (h === undefined) { h = eventHaystack(ev); searchIndex.hay.set(id, h); }
+  return h;
+}
+
+// GET /api/search?q=&sources=main,x&limit=20 -> { total, items: [{ id, title, start, ... }] } в порядке снапшота
+app.get('/api/search', requireAuth, (req, res) => {
+  const q = normSearch(req.query?.q).slice(0, 200);
+  if (!q) return res.status(400).json({ ok: false, error: 'q_required' });
+  const sources = String(req.query?.sources || '').split(',').map(x => x.trim()).filter(Boolean);
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 20, 1), SEARCH_LIMIT_MAX);
+
+  let total = 0;
+  const items = [];
+  for (const ev of eventsSnapshot.payload?.events || []) {
+    if (sources.length && !sources.includes(eventSourceId(ev))) continue;
+    if (!searchHaystack(ev).includes(q)) continue;
+    total++;
+    if (items.length >= limit) continue;
+    const p = ev.extendedProps || {};
+    items.push({
+      id: String(ev.id),
+      title: ev.title || '',
+      start: ev.start || null,
+      orderNumber: p.orderNumber || '',
+      customerName: p.customerName || '',
+      address: p.address || '',
+      sourceId: eventSourceId(ev)
+    });
+  }
+  res.json({ ok: true, version: eventsSnapshot.version, q, total, items });
+});
+
+app.get('/api/ping', requireAuth, (req, res) => res.json({ version: dataVersion }));
+
+app.get('/api/diag', requireAuth, (req, res) => {
+  res.json({
+    ok: true,
+    port: PORT,
+    user: req.session?.user || null,
+    bitrixWebhookUrl: BITRIX_WEBHOOK_URL ? 'set' : 'empty',
+    sources: bitrixSources().map(s => ({
+      id: s.id,
+      label: s.label,
+      entityTypeId: s.entityTypeId,
+      categoryId: s.categoryId,
+      allStages: s.allStagesDefault,
+      stages: s.stages,
+      cachedItems: Array.from(bitrixItemsById.values()).filter(it => it._src === s.id).length
+    })),
+    bitrixSync: bitrixConfig.sync,
+    stores: {
+      users: usersStore.length,
+      manualItems: manualStore.length,
+      comments: Object.keys(commentsStore || {}).length,
+      geocodeCacheKeys: Object.keys(geocodeCache || {}).length,
+      reclSeen: Object.keys(reclSeenStore || {}).length,
+      done: Object.keys(doneStore || {}).length
+    },
+    storage: storage.stats(),
+    usersCache: { size: userCache.size },
+    snapshot: {
+      version: eventsSnapshot.version,
+      builtAt: eventsSnapshot.builtAt,
+      events: (eventsSnapshot.payload?.events || []).length,
+      digest: eventsSnapshot.digest
+    },
+    sse: { clients: sseClients.size, epoch: SSE_EPOCH, seq: sseSeq, logSize: sseLog.length, logLimit: SSE_LOG_LIMIT },
+    poll: { intervalMs: bitrixConfig.pollMs, lastTopUpdatedTime },
+    bitrixEvents: {
+      tokenSet: !!BITRIX_APP_TOKEN,
+      ...bitrixEventStats,
+      pendingIds: pendingItemIds.size,
+      pendingDeleted: pendingDeletedIds.size,
+      last: bitrixEventLog.slice().reverse()
+    },
+    sync: {
+      ...syncState,
+      watermarks: Object.fromEntries(Object.entries(syncState.watermarks).map(([k, v]) => [k, v ? new Date(v).toISOString() : null])),
+      fullSyncMs: bitrixConfig.fullSyncMs,
+      cachedItems: bitrixItemsById.size
+    },
+    dicts: {
+      stageEntityIds: bitrixSources().map(stageEntityId),
+      stoneTypes: Object.keys(bitrixDicts.stoneTypes).length,
+      stages: Object.keys(bitrixDicts.stages).length,
+      loadedAt: bitrixDicts.loadedAt,
+      refreshMs: DICTS_REFRESH_MS,
+      lastError: bitrixDicts.lastError
+    }
+  });
+});
+
+// ✅ Bitrix hook: просто планируем обновление снапшота
+app.post('/api/bitrix/hook', requireAuth, requireEditor, (req, res) => {
+  scheduleRefresh('bitrix_hook');
+  res.json({ ok: true, scheduled: true });
+});
+
+// ===================== Входящие события Bitrix (исходящий вебхук портала) =====================
+// Bitrix шлёт form-encoded: event=ONCRMDYNAMICITEMUPDATE&data[FIELDS][ID]=..&data[FIELDS][ENTITY_TYPE_ID]=..&auth[application_token]=..
+// Сессии нет — проверяем application_token из настроек исходящего вебхука (BITRIX_APP_TOKEN).
+const BITRIX_APP_TOKEN = String(process.env.BITRIX_APP_TOKEN || '').trim();
+const BITRIX_ITEM_EVENTS = new Set(['ONCRMDYNAMICITEMADD', 'ONCRMDYNAMICITEMUPDATE', 'ONCRMDYNAMICITEMDELETE']);
+const BITRIX_EVENT_LOG_LIMIT = 30;
+
+const bitrixEventLog = []; // последние полученные события (для /api/diag)
+const bitrixEventStats = { received: 0, accepted: 0, rejected: 0, ignored: 0 };
+
+function logBitrixEvent(entry) {
+  bitrixEventLog.push({ at: new Date().toISOString(), ...entry });
+  if (bitrixEventLog.length > BITRIX_EVENT_LOG_LIMIT) bitrixEventLog.splice(0, bitrixEventLog.length - BITRIX_EVENT_LOG_LIMIT);
+}
+
+if (!BITRIX_APP_TOKEN) {
+  console.warn('WARN: BITRIX_APP_TOKEN is not set. POST /api/bitrix/events will reject all calls.');
+}
+
+app.post('/api/bitrix/events', express.urlencoded({ extended: true, limit: '1mb' }), (req, res) => {
+  const b = req.body || {};
+  const event = String(b.event || '').trim().toUpperCase();
+  const token = String(b.auth?.application_token || '');
+  const fields = b.data?.FIELDS || {};
+  const itemId = normalizeId(fields.ID);
+  const entityTypeId = Number(fields.ENTITY_TYPE_ID) || null;
+  const base = { event, itemId, entityTypeId, ip: req.ip };
+
+  bitrixEventStats.received++;
+
+  if (!BITRIX_APP_TOKEN || !token || !safeEqual(token, BITRIX_APP_TOKEN)) {
+    bitrixEventStats.rejected++;
+    logBitrixEvent({ ...base, result: 'bad_token' });
+    return res.status(403).json({ ok: false, error: 'bad_token' });
+  }
+
+  // одна сущность может быть подключена несколькими источниками (разные воронки) — элемент отметим у всех,
+  // лишние отсеет mergeItemsIntoCache по categoryId
+  const sources = bitrixSources().filter(s => s.entityTypeId === entityTypeId);
+
+  if (!BITRIX_ITEM_EVENTS.has(event) || !itemId || !sources.length) {
+    bitrixEventStats.ignored++;
+    logBitrixEvent({ ...base, result: 'ignored' });
+    return res.json({ ok: true, ignored: true });
+  }
+
+  for (const source of sources) {
+    const key = cacheKey(source, itemId);
+    if (event === 'ONCRMDYNAMICITEMDELETE') {
+      pendingItemIds.delete(key);
+      pendingDeletedIds.add(key);
+    } else {
+      pendingItemIds.add(key);
+    }
+  }
+
+  bitrixEventStats.accepted++;
+  logBitrixEvent({ ...base, result: 'queued' });
+  scheduleRefresh('bitrix_event');
+  res.json({ ok: true, queued: itemId });
+});
+
+// ===================== Настройка маппинга полей Bitrix (admin) =====================
+const BITRIX_FIELDS_TTL_MS = 5 * 60 * 1000;
+const bitrixFieldsCache = new Map(); // entityTypeId -> { at, fields }
+
+// crm.item.fields -> [{ code, title, type, isMultiple }]
+async function loadBitrixItemFields(entityTypeId, { force = false } = {}) {
+  const cached = bitrixFieldsCache.get(entityTypeId);
+  if (!force && cached && (Date.now() - cached.at) < BITRIX_FIELDS_TTL_MS) return cached.fields;
+
+  const data = await bitrixPost('crm.item.fields', { entityTypeId });
+  const raw = data?.result?.fields || data?.result || {};
+
+  const fields = Object.entries(raw).map(([code, f]) => ({
+    code,
+    title: String(f?.title || f?.listLabel || f?.formLabel || code),
+    type: String(f?.type || ''),
+    isMultiple: !!f?.isMultiple,
+    items: Array.isArray(f?.items) ? f.items.map(x => ({ id: String(x.ID), value: String(x.VALUE || '') })) : null
+  })).sort((a, b) => a.title.localeCompare(b.title, 'ru'));
+
+  bitrixFieldsCache.set(entityTypeId, { at: Date.now(), fields });
+  return fields;
+}
+
+function bitrixFieldDefsPublic() {
+  return BITRIX_FIELD_DEFS.map(d => ({ key: d.key, label: d.label, def: d.def, types: d.types, required: !!d.required }));
+}
+
+// строгая проверка одного источника; availableByEntity: entityTypeId -> поля crm.item.fields
+function validateSourceInput(raw, i, availableByEntity, errors) {
+  const where = `sources[${i}]`;
+  const src = (raw && typeof raw === 'object') ? raw : {};
+
+  const id = String(src.id || '').trim();
+  if (!SOURCE_ID_RE.test(id)) errors.push({ field: where + '.id', error: 'bad_source_id' });
+
+  const label = String(src.label || '').trim().slice(0, 60);
+  if (!label) errors.push({ field: where + '.label', error: 'required' });
+
+  const entityTypeId = normalizeId(src.entityTypeId);
+  if (!entityTypeId) errors.push({ field: where + '.entityTypeId', error: 'bad_id' });
+
+  const categoryId = Number(src.categoryId);
+  if (!Number.isInteger(categoryId) || categoryId < 0) errors.push({ field: where + '.categoryId', error: 'bad_id' });
+
+  const allStagesDefault = !!src.allStagesDefault;
+  const stages = (Array.isArray(src.stages) ? src.stages : String(src.stages || '').split(','))
+    .map(s => String(s || '').trim()).filter(Boolean);
+  if (!allStagesDefault && !stages.length) errors.push({ field: where + '.stages', error: 'required' });
+
+  // стадии "выполнено"/"возврат" — из воронки этого источника и среди синхронизируемых (иначе элемент пропадёт из календаря)
+  const stagePrefix = `DT${entityTypeId}_${categoryId}:`;
+  const doneStage = String(src.doneStage || '').trim();
+  const reopenStage = String(src.reopenStage || '').trim();
+  for (const [key, v] of [['doneStage', doneStage], ['reopenStage', reopenStage]]) {
+    if (!v) continue;
+    if (!v.startsWith(stagePrefix)) errors.push({ field: `${where}.${key}`, error: 'stage_not_in_category', expected: stagePrefix });
+    else if (!allStagesDefault && !stages.includes(v)) errors.push({ field: `${where}.${key}`, error: 'stage_not_synced' });
+  }
+
+  const byCode = new Map((availableByEntity.get(entityTypeId) || []).map(f => [f.code, f]));
+  const fieldsSrc = (src.fields && typeof src.fields === 'object') ? src.fields : {};
+  const fields = {};
+
+  for (const d of BITRIX_FIELD_DEFS) {
+    const code = String(fieldsSrc[d.key] ?? '').trim();
+    const fw = `${where}.fields.${d.key}`;
+    fields[d.key] = code;
+
+    if (!code) {
+      if (d.required) errors.push({ field: fw, error: 'required' });
+      continue;
+    }
+
+    const f = byCode.get(code);
+    if (!f) { errors.push({ field: fw, code, error: 'unknown_field' }); continue; }
+
+    if (d.types && !d.types.includes(f.type)) {
+      errors.push({ field: fw, code, error: 'incompatible_type', type: f.type, expected: d.types });
+    } else if (d.types === FIELD_TYPES_DATE && f.isMultiple) {
+      errors.push({ field: fw, code, error: 'multiple_not_allowed' });
+    }
+  }
+
+  return { id, label, entityTypeId, categoryId, allStagesDefault, stages, doneStage, reopenStage, fields };
+}
+
+// строгая проверка того, что прислали из админки; возвращает { config, errors }
+function validateBitrixConfigInput(body, availableByEntity) {
+  const errors = [];
+  const src = (body && typeof body === 'object') ? body : {};
+
+  const pollMs = Number(src.pollMs ?? bitrixConfig.pollMs);
+  if (!Number.isFinite(pollMs) || pollMs < 2000) errors.push({ field: 'pollMs', error: 'min_2000' });
+
+  const fullSyncMs = Number(src.fullSyncMs ?? bitrixConfig.fullSyncMs);
+  if (!Number.isFinite(fullSyncMs) || fullSyncMs < 60000) errors.push({ field: 'fullSyncMs', error: 'min_60000' });
+
+  const list = Array.isArray(src.sources) ? src.sources : [];
+  if (!list.length) errors.push({ field: 'sources', error: 'required' });
+
+  const sources = list.map((s, i) => validateSourceInput(s, i, availableByEntity, errors));
+
+  const syncSrc = (src.sync && typeof src.sync === 'object') ? src.sync : bitrixConfig.sync;
+  const sync = { comments: String(syncSrc.comments || 'off'), done: String(syncSrc.done || 'off'), doneMode: String(syncSrc.doneMode || 'stage') };
+  if (!SYNC_DIRECTIONS.includes(sync.comments)) errors.push({ field: 'sync.comments', error: 'bad_direction', expected: SYNC_DIRECTIONS });
+  if (!SYNC_DIRECTIONS.includes(sync.done)) errors.push({ field: 'sync.done', error: 'bad_direction', expected: SYNC_DIRECTIONS });
+  if (!DONE_MODES.includes(sync.doneMode)) errors.push({ field: 'sync.doneMode', error: 'bad_mode', expected: DONE_MODES });
+
+  // чем отмечать "выполнено" в Bitrix — должно быть настроено у каждого источника
+  if (sync.done !== 'off') {
+    sources.forEach((s, i) => {
+      if (sync.doneMode === 'field') {
+        if (!s.fields.installDone) errors.push({ field: `sources[${i}].fields.installDone`, error: 'required_for_done_sync' });
+        return;
+      }
+      if (!s.doneStage) errors.push({ field: `sources[${i}].doneStage`, error: 'required_for_done_sync' });
+      if (sync.done !== 'pull' && !s.reopenStage) errors.push({ field: `sources[${i}].reopenStage`, error: 'required_for_done_sync' });
+    });
+  }
+
+  if (sources.length && !sources.some(s => s.id === PRIMARY_SOURCE_ID)) {
+    errors.push({ field: 'sources', error: 'primary_source_required', id: PRIMARY_SOURCE_ID });
+  }
+
+  const ids = new Set();
+  sources.forEach((s, i) => {
+    if (ids.has(s.id)) errors.push({ field: `sources[${i}].id`, error: 'duplicate_id', id: s.id });
+    ids.add(s.id);
+  });
+
+  const pairs = new Set();
+  sources.forEach((s, i) => {
+    const k = `${s.entityTypeId}:${s.categoryId}`;
+    if (pairs.has(k)) errors.push({ field: `sources[${i}]`, error: 'duplicate_category', entityTypeId: s.entityTypeId, categoryId: s.categoryId });
+    pairs.add(k);
+  });
+
+  return {
+    errors,
+    config: {
+      pollMs: Math.round(pollMs),
+      fullSyncMs: Math.round(fullSyncMs),
+      sync,
+      sources
+    }
+  };
+}
+
+app.get('/api/bitrix/config', requireAuth, requireAdmin, (req, res) => {
+  res.json({ ok: true, config: bitrixConfig, defs: bitrixFieldDefsPublic(), primarySourceId: PRIMARY_SOURCE_ID });
+});
+
+app.get('/api/bitrix/fields', requireAuth, requireAdmin, async (req, res) => {
+  const entityTypeId = normalizeId(req.query.entityTypeId) || primarySource().entityTypeId;
+  try {
+    const fields = await loadBitrixItemFields(entityTypeId, { force: req.query.refresh === '1' });
+    res.json({ ok: true, entityTypeId, fields });
+  } catch (e) {
+    res.status(502).json({ ok: false, error: 'bitrix_fields_failed', details: e?.response?.data || e?.message || String(e) });
+  }
+});
+
+app.put('/api/bitrix/config', requireAuth, requireAdmin, async (req, res) => {
+  const list = Array.isArray(req.body?.sources) ? req.body.sources : [];
+  const entityIds = Array.from(new Set(list.map(s => normalizeId(s?.entityTypeId)).filter(Boolean)));
+
+  const availableByEntity = new Map();
+  try {
+    for (const id of entityIds) availableByEntity.set(id, await loadBitrixItemFields(id, { force: true }));
+  } catch (e) {
+    return res.status(502).json({ ok: false, error: 'bitrix_fields_failed', details: e?.response?.data || e?.message || String(e) });
+  }
+
+  const { config, errors } = validateBitrixConfigInput(req.body, availableByEntity);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'validation_failed', details: errors });
+
+  const before = bitrixConfig;
+  bitrixConfig = config;
+  await saveBitrixConfig();
+  auditLog(req, 'bitrix_config.update', { type: 'config', id: 'bitrix_config' }, before, bitrixConfig);
+
+  // другой набор источников/полей — кэш элементов больше не годится, следующая синхронизация полная
+  resetSyncState();
+  lastTopUpdatedTime = {};
+
+  // сущность/воронка/поле типа камня могли смениться — справочники тоже
+  await refreshBitrixDicts();
+  scheduleRefresh('config_update');
+  res.json({ ok: true, config: bitrixConfig });
+});
+
+// ===================== Справочники для фронтов =====================
+app.get('/api/dicts', requireAuth, async (req, res) => {
+  if (req.query.refresh === '1' && req.session.user?.role === ROLE_ADMIN) {
+    if (await refreshBitrixDicts()) scheduleRefresh('dicts_update');
+  }
+  res.json({ ok: true, ...dictsPublic() });
+});
+
+// ===================== Правила цвета (admin) =====================
+// факты для правил из уже собранного события снапшота (для предпросмотра)
+function colorFactsFromEvent(ev) {
+  const p = ev?.extendedProps || {};
+  const id = String(ev?.id || '');
+  return colorFacts({
+    sourceId: p.sourceId,
+    stageId: p.stageId,
+    reclEver: RECL_STAGES.has(String(p.stageId || '')) || !!reclSeenStore[id],
+    otkDate: p.otkDate,
+    stoneTypeId: p.stoneTypeId,
+    title: ev?.title,
+    stoneText: p.stoneText,
+    installComment: p.installComment,
+    extraComment: p.extraComment
+  });
+}
+
+// matched — сколько событий подходит под условия правила вообще,
+// won — сколько реально получат его цвет (с учётом порядка правил)
+function previewColorRules(rules) {
+  const events = (eventsSnapshot.payload?.events || []).filter(ev => !isManualId(ev.id));
+  const stats = new Map(rules.rules.map(r => [r.id, { id: r.id, label: r.label, color: r.color, matched: 0, won: 0, changed: 0 }]));
+  const fallback = { id: null, label: rules.fallback.label, color: rules.fallback.color, matched: 0, won: 0, changed: 0 };
+
+  for (const ev of events) {
+    const f = colorFactsFromEvent(ev);
+    for (const r of rules.rules) {
+      if (r.enabled && ruleMatches(r, f)) stats.get(r.id).matched++;
+    }
+    const cls = classifyByRules(f, rules);
+    const st = cls.ruleId ? stats.get(cls.ruleId) : fallback;
+    st.won++;
+    if (String(ev.extendedProps?.color || '').toLowerCase() !== cls.color) st.changed++;
+  }
+  fallback.matched = fallback.won;
+
+  return { total: events.length, version: dataVersion, rules: Array.from(stats.values()), fallback };
+}
+
+app.get('/api/color-rules', requireAuth, (req, res) => {
+  res.json({ ok: true, ...colorRules, legend: colorLegend(), ...dictsPublic() });
+});
+
+app.post('/api/color-rules/preview', requireAuth, requireAdmin, (req, res) => {
+  const { value, errors } = validateColorRules(req.body);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'validation_failed', details: errors });
+  res.json({ ok: true, preview: previewColorRules(value) });
+});
+
+app.put('/api/color-rules', requireAuth, requireAdmin, async (req, res) => {
+  const { value, errors } = validateColorRules(req.body);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'validation_failed', details: errors });
+
+  const before = colorRules;
+  colorRules = value;
+  await saveColorRules();
+  auditLog(req, 'color_rules.update', { type: 'config', id: 'color_rules' }, before, colorRules);
+
+  // перекрасить снапшот: элементы берутся из кэша, Bitrix лишний раз не дёргаем (дельта)
+  scheduleRefresh('color_rules_update');
+  res.json({ ok: true, ...colorRules, legend: colorLegend() });
+});
+
+app.get('/api/capacity-rules', requireAuth, (req, res) => {
+  res.json({ ok: true, ...capacityRules, stoneTypes: dictsPublic().stoneTypes });
+});
+
+app.put('/api/capacity-rules', requireAuth, requireAdmin, (req, res) => {
+  const { value, errors } = validateCapacityRules(req.body);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'validation_failed', details: errors });
+
+  const before = capacityRules;
+  capacityRules = value;
+  storage.setDocument('capacity_rules', capacityRules);
+  auditLog(req, 'capacity_rules.update', { type: 'config', id: 'capacity_rules' }, before, capacityRules);
+  res.json({ ok: true, ...capacityRules });
+});
+
+app.get('/api/schedule-rules', requireAuth, (req, res) => {
+  res.json({ ok: true, ...scheduleRules });
+});
+
+app.put('/api/schedule-rules', requireAuth, requireAdmin, (req, res) => {
+  const { value, errors } = validateScheduleRules(req.body);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'validation_failed', details: errors });
+
+  const before = scheduleRules;
+  scheduleRules = value;
+  storage.setDocument('schedule_rules', scheduleRules);
+  auditLog(req, 'schedule_rules.update', { type: 'config', id: 'schedule_rules' }, before, scheduleRules);
+  res.json({ ok: true, ...scheduleRules });
+});
+
+app.get('/api/duration-rules', requireAuth, (req, res) => {
+  res.json({ ok: true, ...durationRules, stoneTypeNames: dictsPublic().stoneTypes });
+});
+
+app.put('/api/duration-rules', requireAuth, requireAdmin, (req, res) => {
+  const { value, errors } = validateDurationRules(req.body);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'validation_failed', details: errors });
+
+  const before = durationRules;
+  durationRules = value;
+  storage.setDocument('duration_rules', durationRules);
+  auditLog(req, 'duration_rules.update', { type: 'config', id: 'duration_rules' }, before, durationRules);
+
+  // пересчитать оценки в снапшоте: элементы из кэша, без лишних запросов в Bitrix
+  scheduleRefresh('duration_rules_update');
+  res.json({ ok: true, ...durationRules });
+});
+
+// ===== Рабочий календарь =====
+app.get('/api/work-calendar', requireAuth, (req, res) => {
+  const from = isDayKey(req.query.from) ? String(req.query.from) : '';
+  const to = isDayKey(req.query.to) ? String(req.query.to) : '';
+  const days = Object.entries(workCalendar.days)
+    .filter(([k]) => (!from || k >= from) && (!to || k <= to))
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([date, d]) => ({ date, kind: d.kind, title: d.title || '', source: d.source || 'manual', blocked: WORK_DAY_BLOCKING.has(d.kind) }));
+  res.json({ ok: true, freezePast: workCalendar.freezePast, today: todayDateKey(), labels: WORK_DAY_LABELS, days });
+});
+
+app.put('/api/work-calendar/settings', requireAuth, requireAdmin, (req, res) => {
+  if (typeof req.body?.freezePast !== 'boolean') return res.status(400).json({ ok: false, error: 'freezePast_required' });
+  const before = workCalendar.freezePast;
+  workCalendar.freezePast = req.body.freezePast;
+  saveWorkCalendar();
+  auditLog(req, 'work_calendar.settings', { type: 'config', id: 'work_calendar' }, { freezePast: before }, { freezePast: workCalendar.freezePast });
+  res.json({ ok: true, freezePast: workCalendar.freezePast });
+});
+
+app.put('/api/work-calendar/days/:date', requireAuth, requireAdmin, (req, res) => {
+  const date = String(req.params.date || '').trim();
+  if (!isDayKey(date)) return res.status(400).json({ ok: false, error: 'bad_date' });
+  const kind = String(req.body?.kind || '').trim();
+  if (!WORK_DAY_KINDS.includes(kind)) return res.status(400).json({ ok: false, error: 'bad_kind' });
+  if (!workCalendar.days[date] && Object.keys(workCalendar.days).length >= WORK_DAYS_MAX) {
+    return res.status(400).json({ ok: false, error: 'too_many_days', max: WORK_DAYS_MAX });
+  }
+
+  const before = workCalendar.days[date] || null;
+  workCalendar.days[date] = {
+    kind,
+    title: String(req.body?.title || '').trim().slice(0, WORK_DAY_TITLE_MAX),
+    source: 'manual',
+    at: new Date().toISOString(),
+    by: sessionUserName(req)
+  };
+  saveWorkCalendar();
+  auditLog(req, 'work_calendar.day_set', { type: 'work_day', id: date }, before, workCalendar.days[date]);
+  res.json({ ok: true, date, ...workCalendar.days[date], blocked: WORK_DAY_BLOCKING.has(kind) });
+});
+
+app.delete('/api/work-calendar/days/:date', requireAuth, requireAdmin, (req, res) => {
+  const date = String(req.params.date || '').trim();
+  const before = workCalendar.days[date];
+  if (!before) return res.status(404).json({ ok: false, error: 'not_found' });
+  delete workCalendar.days[date];
+  saveWorkCalendar();
+  auditLog(req, 'work_calendar.day_delete', { type: 'work_day', id: date }, before, null);
+  res.json({ ok: true, date });
+});
+
+// импорт праздников: { text, kind = 'holiday' }; вручную заданные дни не перетираются
+app.post('/api/work-calendar/import', requireAuth, requireAdmin, (req, res) => {
+  const kind = req.body?.kind === undefined ? 'holiday' : String(req.body.kind);
+  if (!WORK_DAY_KINDS.includes(kind)) return res.status(400).json({ ok: false, error: 'bad_kind' });
+
+  let entries;
+  try {
+    entries = parseProductionCalendar(req.body?.text);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: 'bad_file', details: e?.message || String(e) });
+  }
+  if (!entries.length) return res.status(400).json({ ok: false, error: 'no_days_found' });
+
+  let added = 0, updated = 0, skipped = 0;
+  const at = new Date().toISOString();
+  const by = sessionUserName(req);
+  for (const x of entries) {
+    const cur = workCalendar.days[x.date];
+    if (cur && cur.source === 'manual') { skipped++; continue; }
+    if (!cur && Object.keys(workCalendar.days).length >= WORK_DAYS_MAX) { skipped++; continue; }
+    if (cur) updated++; else added++;
+    workCalendar.days[x.date] = { kind, title: String(x.title || '').slice(0, WORK_DAY_TITLE_MAX), source: 'import', at, by };
+  }
+  saveWorkCalendar();
+  auditLog(req, 'work_calendar.import', { type: 'config', id: 'work_calendar' }, null, { kind, added, updated, skipped });
+  res.json({ ok: true, total: entries.length, added, updated, skipped });
+});
+
+// ===== Отсутствия монтажников =====
+// ?from&to — только пересекающиеся с диапазоном; ?installerId — одного монтажника
+app.get('/api/absences', requireAuth, async (req, res) => {
+  const from = isDayKey(req.query.from) ? String(req.query.from) : '';
+  const to = isDayKey(req.query.to) ? String(req.query.to) : '';
+  const installerId = normalizeId(req.query.installerId);
+  const list = absencesStore
+    .filter(a => (!from || a.to >= from) && (!to || a.from <= to) && (!installerId || a.installerId === installerId))
+    .sort((a, b) => a.from.localeCompare(b.from) || a.installerId - b.installerId);
+  await fetchUsersByBatch(list.map(a => a.installerId)).catch(() => {});
+  res.json({ ok: true, reasons: ABSENCE_REASONS, items: list.map(absencePublic) });
 });
 
-app.get('/api/ping', requireAuth, (req, res) => res.json({ version: dataVersion }));
+app.post('/api/absences', requireAuth, requireEditor, async (req, res) => {
+  const { value, error, max } = normalizeAbsence(req.body);
+  if (error) return res.status(400).json({ ok: false, error, max });
+  const overlap = absenceOverlap(value);
+  if (overlap) return res.status(409).json({ ok: false, error: 'absence_overlap', absence: absencePublic(overlap) });
 
-app.get('/api/diag', requireAuth, (req, res) => {
-  res.json({
-    ok: true,
-    port: PORT,
-    user: req.session?.user || null,
-    bitrixWebhookUrl: BITRIX_WEBHOOK_URL ? 'set' : 'empty',
-    entityTypeId: ENTITY_TYPE_ID,
-    categoryId: CATEGORY_ID,
-    stageFilter: STAGE_FILTER,
-    defaultAllStages: DEFAULT_ALL_STAGES_ON,
-    stores: {
-      users: usersStore.length,
-      manualItems: manualStore.length,
-      comments: Object.keys(commentsStore || {}).length,
-      geocodeCacheKeys: Object.keys(geocodeCache || {}).length,
-      reclSeen: Object.keys(reclSeenStore || {}).length,
-      done: Object.keys(doneStore || {}).length
-    },
-    usersCache: { size: userCache.size },
-    snapshot: {
-      version: eventsSnapshot.version,
-      builtAt: eventsSnapshot.builtAt,
-      events: (eventsSnapshot.payload?.events || []).length,
-      digest: eventsSnapshot.digest
-    },
-    sse: { clients: sseClients.size },
-    poll: { intervalMs: POLL_INTERVAL_MS, lastTopUpdatedTime }
-  });
+  const obj = {
+    id: 'a-' + Date.now() + '-' + Math.floor(Math.random() * 1000),
+    ...value,
+    createdAt: new Date().toISOString(),
+    createdBy: sessionUserName(req)
+  };
+  absencesStore.push(obj);
+  await saveAbsencesStore();
+  auditLog(req, 'absence.create', { type: 'installer', id: String(obj.installerId) }, null, obj);
+  broadcastAbsences();
+  await fetchUsersByBatch([obj.installerId]).catch(() => {});
+  res.json({ ok: true, absence: absencePublic(obj) });
 });
 
-// ✅ Bitrix hook: просто планируем обновление снапшота
-app.post('/api/bitrix/hook', requireAuth, requireEditor, (req, res) => {
-  scheduleRefresh('bitrix_hook');
-  res.json({ ok: true, scheduled: true });
+app.put('/api/absences/:id', requireAuth, requireEditor, async (req, res) => {
+  const idx = absencesStore.findIndex(a => a.id === String(req.params.id || ''));
+  if (idx < 0) return res.status(404).json({ ok: false, error: 'not_found' });
+  const { value, error, max } = normalizeAbsence(req.body);
+  if (error) return res.status(400).json({ ok: false, error, max });
+  const before = absencesStore[idx];
+  const overlap = absenceOverlap(value, before.id);
+  if (overlap) return res.status(409).json({ ok: false, error: 'absence_overlap', absence: absencePublic(overlap) });
+
+  const obj = { ...before, ...value, updatedAt: new Date().toISOString(), updatedBy: sessionUserName(req) };
+  absencesStore[idx] = obj;
+  await saveAbsencesStore();
+  auditLog(req, 'absence.update', { type: 'installer', id: String(obj.installerId) }, before, obj);
+  broadcastAbsences();
+  await fetchUsersByBatch([obj.installerId]).catch(() => {});
+  res.json({ ok: true, absence: absencePublic(obj) });
+});
+
+app.delete('/api/absences/:id', requireAuth, requireEditor, async (req, res) => {
+  const idx = absencesStore.findIndex(a => a.id === String(req.params.id || ''));
+  if (idx < 0) return res.status(404).json({ ok: false, error: 'not_found' });
+  const [before] = absencesStore.splice(idx, 1);
+  await saveAbsencesStore();
+  auditLog(req, 'absence.delete', { type: 'installer', id: String(before.installerId) }, before, null);
+  broadcastAbsences();
+  res.json({ ok: true });
 });
 
 // ===== DONE API (общий статус) =====
 app.get('/api/done/:id', requireAuth, (req, res) => {
   const id = String(req.params.id || '');
+  if (isVisitId(id)) return res.json({ ok: true, id, done: !!visitsStore[id]?.done });
   res.json({ ok: true, id, done: !!doneStore[id] });
 });
 
 app.put('/api/done/:id', requireAuth, requireEditor, async (req, res) => {
   try {
     const id = String(req.params.id || '');
+    if (isVisitId(id)) return updateVisit(req, res, id, { done: !!req.body?.done });
     const done = !!req.body?.done;
+    // только pull: статус ведётся в Bitrix, у нас не меняется
+    if (syncPull('done') && !syncPush('done') && parseEventId(id)) {
+      return res.status(409).json({ ok: false, error: 'done_managed_by_bitrix' });
+    }
+
+    const before = !!doneStore[id];
     doneStore[id] = done;
     await saveDoneStore();
+
+    const bitrix = await pushDoneToBitrix(id, done);
+    auditLog(req, 'done.set', { type: 'event', id }, before, done, bitrix ? { bitrix } : undefined);
     scheduleRefresh('done_update');
-    res.json({ ok: true, id, done });
+    res.json({ ok: true, id, done, bitrix });
   } catch {
     res.status(500).json({ ok: false, error: 'done_save_failed' });
   }
@@ -1465,22 +4268,126 @@ app.get('/api/geocode', requireAuth, async (req, res) => {
 });
 
 // ===== COMMENTS API =====
-app.get('/api/comment/:id', requireAuth, (req, res) => {
+app.get('/api/comments/:id', requireAuth, async (req, res) => {
   const id = String(req.params.id || '');
-  const text = (commentsStore && commentsStore[id]) ? String(commentsStore[id]) : '';
-  res.json({ ok: true, id, text });
+
+  let bitrix = null;
+  try {
+    if (await pullCommentsFromBitrix(id, { force: req.query.refresh === '1' })) scheduleRefresh('comment_pull');
+  } catch (e) {
+    bitrix = { ok: false, error: bitrixErrorText(e) }; // тред отдаём и без Bitrix
+  }
+
+  const thread = commentsStore[id];
+  res.json({ ok: true, id, rev: thread ? thread.rev : 0, items: visibleComments(id), bitrix });
 });
 
-app.put('/api/comment/:id', requireAuth, requireEditor, async (req, res) => {
+function commentTextFromBody(req) {
+  const text = String(req.body?.text ?? '').trim();
+  if (!text) return { error: 'text_required' };
+  if (text.length > COMMENT_MAX_LENGTH) return { error: 'text_too_long' };
+  return { text };
+}
+
+// комментарий + проверки прав и ревизии для правки/удаления; при ошибке уже ответили
+function commentForChange(req, res) {
+  const id = String(req.params.id || '');
+  const thread = commentsStore[id];
+  const c = thread ? thread.items.find(x => x.id === String(req.params.commentId || '') && !x.deletedAt) : null;
+  if (!c) { res.status(404).json({ ok: false, error: 'not_found' }); return null; }
+  if (!canModifyComment(req, c)) { res.status(403).json({ ok: false, error: 'forbidden' }); return null; }
+
+  const rev = Number(req.body?.rev ?? req.query.rev);
+  if (!Number.isInteger(rev)) { res.status(400).json({ ok: false, error: 'rev_required' }); return null; }
+  if (rev !== c.rev) { res.status(409).json({ ok: false, error: 'revision_conflict', item: c, rev: thread.rev }); return null; }
+  return { id, thread, c };
+}
+
+app.post('/api/comments/:id', requireAuth, requireEditor, async (req, res) => {
   try {
     const id = String(req.params.id || '');
-    const text = String((req.body && req.body.text) ? req.body.text : '');
-    commentsStore[id] = text;
+    const { text, error } = commentTextFromBody(req);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const now = new Date().toISOString();
+    const item = {
+      id: makeCommentId(),
+      authorId: req.session.user.id,
+      authorName: sessionUserName(req),
+      text,
+      createdAt: now,
+      updatedAt: now,
+      rev: 1,
+      history: []
+    };
+
+    const thread = commentsStore[id] || (commentsStore[id] = { rev: 0, items: [] });
+    thread.items.push(item);
+    thread.rev++;
+    await saveCommentsStore();
+
+    const bitrix = await pushCommentToBitrix(id, item, 'add');
+    if (bitrix?.ok) await saveCommentsStore(); // bitrixCommentId
+    auditLog(req, 'comment.add', { type: 'event', id }, null, text, { commentId: item.id, bitrix });
+
+    scheduleRefresh('comment_update');
+    res.json({ ok: true, id, rev: thread.rev, item, bitrix });
+  } catch {
+    res.status(500).json({ ok: false, error: 'comment_save_failed' });
+  }
+});
+
+app.put('/api/comments/:id/:commentId', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const { text, error } = commentTextFromBody(req);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const found = commentForChange(req, res);
+    if (!found) return;
+    const { id, thread, c } = found;
+    if (c.text === text) return res.json({ ok: true, id, rev: thread.rev, item: c });
+
+    const now = new Date().toISOString();
+    const before = c.text;
+    c.history = Array.isArray(c.history) ? c.history : [];
+    c.history.push({ text: before, at: now, byId: req.session.user.id, by: sessionUserName(req) });
+    c.text = text;
+    c.updatedAt = now;
+    c.rev++;
+    thread.rev++;
+    await saveCommentsStore();
+
+    const bitrix = await pushCommentToBitrix(id, c, 'update');
+    if (bitrix?.ok) await saveCommentsStore(); // bitrixText
+    auditLog(req, 'comment.edit', { type: 'event', id }, before, text, { commentId: c.id, bitrix });
+
+    scheduleRefresh('comment_update');
+    res.json({ ok: true, id, rev: thread.rev, item: c, bitrix });
+  } catch {
+    res.status(500).json({ ok: false, error: 'comment_save_failed' });
+  }
+});
+
+// мягкое удаление: запись остаётся в сторе (и в журнале), из треда пропадает
+app.delete('/api/comments/:id/:commentId', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const found = commentForChange(req, res);
+    if (!found) return;
+    const { id, thread, c } = found;
+
+    c.deletedAt = new Date().toISOString();
+    c.deletedBy = sessionUserName(req);
+    c.rev++;
+    thread.rev++;
     await saveCommentsStore();
+
+    const bitrix = await pushCommentToBitrix(id, c, 'delete');
+    auditLog(req, 'comment.delete', { type: 'event', id }, c.text, null, { commentId: c.id, bitrix });
+
     scheduleRefresh('comment_update');
-    res.json({ ok: true, id, text });
+    res.json({ ok: true, id, rev: thread.rev, bitrix });
   } catch {
-    res.status(500).json({ error: 'comment_save_failed' });
+    res.status(500).json({ ok: false, error: 'comment_delete_failed' });
   }
 });
 
@@ -1518,6 +4425,7 @@ app.post('/api/manual', requireAuth, requireEditor, async (req, res) => {
 
     manualStore.push(obj);
     await saveManualStore();
+    auditLog(req, 'manual.create', { type: 'event', id }, null, obj);
 
     scheduleRefresh('manual_create');
     res.json({ ok: true, event: manualToFcEvent(obj) });
@@ -1538,10 +4446,14 @@ app.put('/api/manual/:id', requireAuth, requireEditor, async (req, res) => {
     const idx = (manualStore || []).findIndex(x => String(x?.id) === id);
     if (idx < 0) return res.status(404).json({ ok:false, error:'not_found' });
 
+    const before = { start: manualStore[idx].start || null, assignedInstall: manualStore[idx].assignedInstall || null };
+    const lock = dayLock(eventDayKey(before.start), eventDayKey(start || assignedInstall), !!doneStore[id]);
+    if (lock) return res.status(409).json({ ok:false, ...lock });
     if (start) manualStore[idx].start = start;
     if (assignedInstall) manualStore[idx].assignedInstall = assignedInstall;
 
     await saveManualStore();
+    auditLog(req, 'manual.move', { type: 'event', id }, before, { start: manualStore[idx].start || null, assignedInstall: manualStore[idx].assignedInstall || null });
 
     // мгновенно патчим снапшот
     patchSnapshotManualDate(id, start || assignedInstall);
@@ -1560,11 +4472,12 @@ app.delete('/api/manual/:id', requireAuth, requireEditor, async (req, res) => {
     const id = String(req.params.id || '');
     if (!isManualId(id)) return res.status(400).json({ error: 'bad_id' });
 
-    const before = manualStore.length;
+    const item = manualStore.find(x => String(x.id) === id);
+    if (!item) return res.status(404).json({ error: 'not_found' });
     manualStore = manualStore.filter(x => String(x.id) !== id);
-    if (manualStore.length === before) return res.status(404).json({ error: 'not_found' });
 
     await saveManualStore();
+    auditLog(req, 'manual.delete', { type: 'event', id }, item, null);
 
     if (commentsStore && Object.prototype.hasOwnProperty.call(commentsStore, id)) {
       delete commentsStore[id];
@@ -1586,33 +4499,896 @@ app.delete('/api/manual/:id', requireAuth, requireEditor, async (req, res) => {
 // Требуемый endpoint:
 app.put('/api/assigned-date/:id', requireAuth, requireEditor, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok:false, error:'bad_id' });
+    // id события: "123" (основной источник) или "<sourceId>-123" — по нему выбираем сущность и поле
+    const eventId = String(req.params.id || '').trim();
+    // замер / повторный выезд: дата у выезда своя, правила планирования — про монтаж
+    if (isVisitId(eventId)) return updateVisit(req, res, eventId, { date: req.body?.value ?? '' });
+    const ref = parseEventId(eventId);
+    if (!ref || !Number.isFinite(ref.itemId) || ref.itemId <= 0) return res.status(400).json({ ok:false, error:'bad_id' });
+    const { source, itemId: id } = ref;
 
     const value = String(req.body?.value || '').trim(); // ожидаем ISO/bitrix datetime
     if (!value) return res.status(400).json({ ok:false, error:'value_required' });
+    // все проверки ниже идут по дню: значение без YYYY-MM-DD в начале прошло бы их молча
+    const dayKey = eventDayKey(value);
+    if (!isDayKey(dayKey) || Number.isNaN(Date.parse(value))) return res.status(400).json({ ok:false, error:'bad_value' });
+
+    const fieldId = fieldCode('assignedInstall', source);
+    if (!fieldId) return res.status(500).json({ ok:false, error:'assigned_field_not_configured' });
+
+    const prevEv = (eventsSnapshot.payload?.events || []).find(e => String(e?.id) === eventId);
+    const before = prevEv?.extendedProps?.assignedInstall || null;
+
+    // рабочий календарь: закрытые дни и замороженное прошлое не переопределяются
+    const lock = prevEv ? dayLock(lockedFromDay(prevEv), dayKey, !!prevEv.extendedProps?.done) : dayLock('', dayKey);
+    if (lock) return res.status(409).json({ ok:false, ...lock });
+
+    // правила планирования: error — отказ (админ может переопределить), warn — переносим с ruleWarnings
+    const reason = String(req.body?.reason || '').trim().slice(0, 500);
+    const isAdmin = req.session.user?.role === ROLE_ADMIN;
+    const ruleWarnings = prevEv ? scheduleViolations(prevEv, dayKey, { reason }) : [];
+    const ruleErrors = ruleWarnings.filter(v => v.level === 'error');
+    const override = ruleErrors.length > 0 && req.body?.override === true && isAdmin;
+    if (ruleErrors.length && !override) {
+      return res.status(422).json({ ok:false, error:'schedule_rules_violated', violations: ruleWarnings, canOverride: isAdmin });
+    }
 
-    const fieldId = BITRIX_ASSIGNED_FIELD_ID;
+    // лимиты бригад: block — отказ, warn — переносим и возвращаем предупреждение
+    const overload = capacityOverload(eventId, dayKey, prevEv?.extendedProps?.installersIds || []);
+    if (overload.length && capacityRules.onExceed === 'block') {
+      return res.status(409).json({ ok:false, error:'capacity_exceeded', details: overload });
+    }
+    // монтажник в отпуске/на больничном или уже занят в это время — не запрещаем, только предупреждаем
+    const absent = absenceConflicts(dayKey, prevEv?.extendedProps?.installersIds || []);
+    const overlaps = timeOverlaps(eventId, value, prevEv?.extendedProps?.durationMin, prevEv?.extendedProps?.installersIds || []);
 
     // основной метод для smart-process:
     const data = await bitrixPost('crm.item.update', {
-      entityTypeId: ENTITY_TYPE_ID,
+      entityTypeId: source.entityTypeId,
       id,
       fields: { [fieldId]: value }
     });
+    const meta = { sourceId: source.id, fieldId };
+    if (reason) meta.reason = reason;
+    if (ruleWarnings.length) meta.rules = ruleWarnings.map(v => v.rule);
+    if (override) meta.override = true;
+    if (absent.length) meta.absent = absent.map(a => a.installerId);
+    if (overlaps.length) meta.overlaps = [...new Set(overlaps.map(o => o.otherId))];
+    auditLog(req, 'assigned_date.set', { type: 'event', id: eventId }, before, value, meta);
 
     // ✅ мгновенно патчим текущий снапшот (чтобы у всех сразу стало видно)
-    patchSnapshotAssignedDate(String(id), value);
+    patchSnapshotAssignedDate(eventId, value);
 
     // ✅ и в фоне пересоберём снапшот чуть позже (чтобы синкнуться с Bitrix)
     setTimeout(() => scheduleRefresh('assigned_update'), 2500);
 
-    res.json({ ok:true, id, fieldId, value, result: data?.result ?? null });
+    res.json({ ok:true, id: eventId, sourceId: source.id, entityTypeId: source.entityTypeId, fieldId, value, capacityWarnings: overload, absenceWarnings: absent, overlapWarnings: overlaps, ruleWarnings, overridden: override, result: data?.result ?? null });
   } catch (e) {
     res.status(500).json({ ok:false, error:'bitrix_update_failed', details: e?.response?.data || e?.message || String(e) });
   }
 });
 
+// ===================== Монтажники: справочник + назначение (в Bitrix) =====================
+// usage — в скольких событиях снапшота человек уже стоит монтажником (частые — наверх списка)
+app.get('/api/installers/directory', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const items = await loadInstallersDirectory({ force: req.query.refresh === '1' });
+    const usage = new Map();
+    for (const ev of (eventsSnapshot.payload?.events || [])) {
+      for (const id of (ev.extendedProps?.installersIds || [])) usage.set(id, (usage.get(id) || 0) + 1);
+    }
+    const out = items
+      .map(u => ({ ...u, usage: usage.get(u.id) || 0 }))
+      .sort((a, b) => (b.usage - a.usage) || a.name.localeCompare(b.name, 'ru'));
+    res.json({ ok: true, items: out, max: INSTALLERS_MAX });
+  } catch (e) {
+    res.status(502).json({ ok: false, error: 'bitrix_users_failed', details: bitrixErrorText(e) });
+  }
+});
+
+app.put('/api/installers/:id', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const eventId = String(req.params.id || '').trim();
+    // бригада выезда хранится у нас, не в элементе Bitrix
+    if (isVisitId(eventId)) return updateVisit(req, res, eventId, { installerIds: req.body?.installerIds ?? null });
+    const ref = parseEventId(eventId);
+    if (!ref || !Number.isFinite(ref.itemId) || ref.itemId <= 0) return res.status(400).json({ ok: false, error: 'bad_id' });
+    const { source, itemId } = ref;
+
+    if (!Array.isArray(req.body?.installerIds)) return res.status(400).json({ ok: false, error: 'installerIds_required' });
+    const ids = Array.from(new Set(normalizeIdList(req.body.installerIds)));
+    if (ids.length > INSTALLERS_MAX) return res.status(400).json({ ok: false, error: 'too_many_installers', max: INSTALLERS_MAX });
+
+    const fieldId = fieldCode('installers', source);
+    if (!fieldId) return res.status(500).json({ ok: false, error: 'installers_field_not_configured' });
+
+    // одиночное поле "сотрудник" — больше одного не запишется
+    let isMultiple = true;
+    try {
+      const meta = (await loadBitrixItemFields(source.entityTypeId)).find(f => f.code === fieldId);
+      if (meta) isMultiple = !!meta.isMultiple;
+    } catch { /* нет метаданных — пишем как множественное */ }
+    if (!isMultiple && ids.length > 1) return res.status(400).json({ ok: false, error: 'single_installer_only' });
+
+    await fetchUsersByBatch(ids).catch(() => {});
+
+    const prevEv = (eventsSnapshot.payload?.events || []).find(e => String(e?.id) === eventId);
+    const before = prevEv?.extendedProps?.installersIds || [];
+
+    // лимиты проверяем только для добавленных — снять монтажника можно всегда
+    const added = ids.filter(x => !before.some(b => normalizeId(b) === x));
+    const overload = capacityOverload(eventId, eventDayKey(prevEv?.start), added);
+    if (overload.length && capacityRules.onExceed === 'block') {
+      return res.status(409).json({ ok: false, error: 'capacity_exceeded', details: overload });
+    }
+
+    const absent = absenceConflicts(eventDayKey(prevEv?.start), added);
+    const overlaps = prevEv?.extendedProps?.unscheduled === true ? [] : timeOverlaps(eventId, prevEv?.start, prevEv?.extendedProps?.durationMin, added);
+
+    await bitrixPost('crm.item.update', {
+      entityTypeId: source.entityTypeId,
+      id: itemId,
+      fields: { [fieldId]: isMultiple ? ids : (ids[0] || '') }
+    });
+
+    // ✅ сразу в снапшот (всем по SSE), потом фоном сверимся с Bitrix
+    patchSnapshotInstallers(eventId, ids);
+    setTimeout(() => scheduleRefresh('installers_update'), 2500);
+
+    const names = ids.map(getUserNameFromCache);
+    const meta = { names };
+    if (absent.length) meta.absent = absent.map(a => a.installerId);
+    if (overlaps.length) meta.overlaps = [...new Set(overlaps.map(o => o.otherId))];
+    auditLog(req, 'installers.set', { type: 'event', id: eventId }, before, ids, meta);
+
+    res.json({ ok: true, id: eventId, installersIds: ids, installersNames: names.filter(Boolean), capacityWarnings: overload, absenceWarnings: absent, overlapWarnings: overlaps });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: 'bitrix_update_failed', details: e?.response?.data || e?.message || String(e) });
+  }
+});
+
+// ===================== Длительность монтажа (ручная, поверх оценки из duration_rules) =====================
+// minutes: число — задать, null — вернуть оценку. Пишется только у нас: в Bitrix поля длительности нет.
+app.put('/api/duration/:id', requireAuth, requireEditor, async (req, res) => {
+  const eventId = String(req.params.id || '').trim();
+  const ev = (eventsSnapshot.payload?.events || []).find(e => String(e?.id) === eventId);
+  if (!ev || isManualId(eventId)) return res.status(404).json({ ok: false, error: 'not_found' });
+
+  const raw = req.body?.minutes;
+  let minutes = null;
+  if (raw !== null && raw !== undefined && raw !== '') {
+    minutes = Math.round(Number(raw));
+    if (!Number.isFinite(minutes) || minutes < DURATION_MIN || minutes > DURATION_MAX) {
+      return res.status(400).json({ ok: false, error: 'bad_minutes', min: DURATION_MIN, max: DURATION_MAX });
+    }
+  }
+
+  const p = ev.extendedProps || {};
+  const before = { minutes: p.durationMin, source: p.durationSource };
+  if (minutes === null) delete durationsStore[eventId];
+  else durationsStore[eventId] = { minutes, at: new Date().toISOString(), by: sessionUserName(req) };
+  await saveDurationsStore();
+
+  const duration = eventDuration(eventId, p);
+  patchSnapshotDuration(eventId, duration);
+  const overlaps = timeOverlaps(eventId, ev.start, duration.minutes, p.installersIds || []);
+  const meta = overlaps.length ? { overlaps: [...new Set(overlaps.map(o => o.otherId))] } : null;
+  auditLog(req, 'duration.set', { type: 'event', id: eventId }, before, duration, meta);
+
+  res.json({ ok: true, id: eventId, durationMin: duration.minutes, durationSource: duration.source, end: ev.end || null, overlapWarnings: overlaps });
+});
+
+// ===================== Выезды по заказу: замер и повторные выезды =====================
+// POST { orderId, type: measure|revisit, date, installerIds?, note? }; PUT — { date?, installerIds?, done?, note? }
+app.post('/api/visits', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const orderId = String(b.orderId || '').trim();
+    const ref = parseEventId(orderId);
+    const item = orderItem(orderId);
+    if (!ref || !item) return res.status(404).json({ ok: false, error: 'order_not_found' });
+
+    const type = String(b.type || 'revisit').trim();
+    if (type !== 'measure' && type !== 'revisit') return res.status(400).json({ ok: false, error: 'bad_type' });
+
+    const date = String(b.date || '').trim();
+    if (!date || !visitDateValid(date)) return res.status(400).json({ ok: false, error: 'bad_date' });
+
+    if (b.installerIds !== undefined && !Array.isArray(b.installerIds)) return res.status(400).json({ ok: false, error: 'installerIds_required' });
+    const ids = Array.from(new Set(normalizeIdList(b.installerIds || [])));
+    if (ids.length > INSTALLERS_MAX) return res.status(400).json({ ok: false, error: 'too_many_installers', max: INSTALLERS_MAX });
+
+    const id = type === 'measure' ? `${orderId}:measure` : `${orderId}:v${Date.now()}`;
+    const exists = visitsStore[id] || (eventsSnapshot.payload?.events || []).some(e => String(e?.id) === id);
+    if (exists) return res.status(409).json({ ok: false, error: 'visit_exists', id });
+    if ((visitsByOrder().get(orderId) || []).length >= VISITS_PER_ORDER_MAX) {
+      return res.status(409).json({ ok: false, error: 'too_many_visits', max: VISITS_PER_ORDER_MAX });
+    }
+
+    const lock = dayLock('', eventDayKey(date));
+    if (lock) return res.status(409).json({ ok: false, ...lock });
+
+    const overload = capacityOverload(id, eventDayKey(date), ids);
+    if (overload.length && capacityRules.onExceed === 'block') {
+      return res.status(409).json({ ok: false, error: 'capacity_exceeded', details: overload });
+    }
+    const absent = absenceConflicts(eventDayKey(date), ids);
+    const overlaps = timeOverlaps(id, date, VISIT_MINUTES[type], ids);
+
+    const field = type === 'measure' ? measureFieldFor(orderId) : '';
+    if (field) {
+      await bitrixPost('crm.item.update', { entityTypeId: ref.source.entityTypeId, id: ref.itemId, fields: { [field]: date } });
+    }
+
+    await fetchUsersByBatch(ids).catch(() => {});
+    const rec = {
+      orderId,
+      type,
+      date: field ? null : date,
+      installerIds: ids,
+      done: false,
+      note: String(b.note || '').trim().slice(0, VISIT_NOTE_MAX),
+      createdAt: new Date().toISOString(),
+      createdBy: sessionUserName(req)
+    };
+    visitsStore[id] = rec;
+    await saveVisitsStore();
+
+    const meta = { orderId, type, names: ids.map(getUserNameFromCache) };
+    if (field) meta.fieldId = field;
+    if (absent.length) meta.absent = absent.map(a => a.installerId);
+    if (overlaps.length) meta.overlaps = [...new Set(overlaps.map(o => o.otherId))];
+    auditLog(req, 'visit.create', { type: 'event', id }, null, { date, installerIds: ids, note: rec.note }, meta);
+
+    // дата замера ушла в Bitrix — пересобираем, когда изменение вернётся дельтой
+    if (field) setTimeout(() => scheduleRefresh('visit_create'), 2500);
+    else scheduleRefresh('visit_create');
+
+    const event = visitToFcEvent(id, type, date, rec, item, orderBaseProps(item));
+    res.json({ ok: true, id, event, capacityWarnings: overload, absenceWarnings: absent, overlapWarnings: overlaps });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: 'visit_create_failed', details: e?.response?.data || e?.message || String(e) });
+  }
+});
+
+app.put('/api/visits/:id', requireAuth, requireEditor, (req, res) => {
+  const b = req.body || {};
+  const patch = {};
+  for (const k of ['date', 'installerIds', 'done', 'note']) {
+    if (b[k] !== undefined) patch[k] = b[k];
+  }
+  return updateVisit(req, res, String(req.params.id || '').trim(), patch);
+});
+
+app.delete('/api/visits/:id', requireAuth, requireEditor, async (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    const ref = parseVisitId(id);
+    if (!ref) return res.status(400).json({ ok: false, error: 'bad_id' });
+    const ev = (eventsSnapshot.payload?.events || []).find(e => String(e?.id) === id);
+    const rec = visitsStore[id];
+    // замер из Bitrix — очищаем поле, иначе он вернётся при следующей сверке
+    const field = ref.type === 'measure' ? measureFieldFor(ref.orderId) : '';
+    if (!rec && !(field && ev)) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    if (field && ev) {
+      const { source, itemId } = parseEventId(ref.orderId);
+      await bitrixPost('crm.item.update', { entityTypeId: source.entityTypeId, id: itemId, fields: { [field]: '' } });
+    }
+
+    delete visitsStore[id];
+    await saveVisitsStore();
+    if (Object.prototype.hasOwnProperty.call(durationsStore, id)) {
+      delete durationsStore[id];
+      await saveDurationsStore();
+    }
+    if (Object.prototype.hasOwnProperty.call(commentsStore, id)) {
+      delete commentsStore[id];
+      await saveCommentsStore();
+    }
+
+    const before = { date: ev?.start || rec?.date || null, installerIds: ev?.extendedProps?.installersIds || rec?.installerIds || [], note: rec?.note || '' };
+    auditLog(req, 'visit.delete', { type: 'event', id }, before, null, { orderId: ref.orderId, type: ref.type });
+
+    if (field && ev) setTimeout(() => scheduleRefresh('visit_delete'), 2500);
+    else scheduleRefresh('visit_delete');
+    res.json({ ok: true, id });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: 'visit_delete_failed', details: e?.response?.data || e?.message || String(e) });
+  }
+});
+
+// ===================== Маршрут бригады на день =====================
+// бригады дня — по всему снапшоту: календарь держит только видимый период, а маршрут строится на любую дату
+app.get('/api/route/crews', requireAuth, (req, res) => {
+  const date = String(req.query.date || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ ok: false, error: 'bad_date' });
+
+  const crews = new Map(); // id -> { id, name, stops }
+  for (const ev of (eventsSnapshot.payload?.events || [])) {
+    if (eventDayKey(ev.start) !== date) continue;
+    const p = ev.extendedProps || {};
+    (p.installersIds || []).forEach((raw, i) => {
+      const id = String(normalizeId(raw) || '');
+      if (!id) return;
+      const c = crews.get(id) || { id, name: getUserNameFromCache(id) || p.installersNames?.[i] || `ID ${id}`, stops: 0 };
+      c.stops++;
+      crews.set(id, c);
+    });
+  }
+  res.json({ ok: true, date, crews: [...crews.values()].sort((a, b) => a.name.localeCompare(b.name, 'ru')) });
+});
+
+// GET: сохранённый план (если набор заказов не поменялся) или новый расчёт; ?optimize=1 — всегда пересчитать
+app.get('/api/route', requireAuth, async (req, res) => {
+  const date = String(req.query.date || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ ok: false, error: 'bad_date' });
+  const installerId = normalizeId(req.query.installerId);
+  if (!installerId) return res.status(400).json({ ok: false, error: 'installer_required' });
+
+  const { stops, skipped } = routeStops(date, installerId);
+  if (stops.length > ROUTE_STOPS_MAX) return res.status(400).json({ ok: false, error: 'too_many_stops', max: ROUTE_STOPS_MAX });
+
+  const key = routePlanKey(date, installerId);
+  const saved = routePlansStore[key] || null;
+  const sameSet = !!saved && saved.order.length === stops.length && stops.every(s => saved.order.includes(s.id));
+  const useSaved = sameSet && req.query.optimize !== '1';
+
+  const points = [ROUTE_DEPOT, ...stops];
+  const { dist, source, error } = await routeMatrix(points);
+  const order = useSaved
+    ? saved.order.map(id => stops.findIndex(s => s.id === id) + 1)
+    : (stops.length ? solveRoute(dist) : []);
+
+  const ordered = order.map((i, n) => ({ ...stops[i - 1], seq: n + 1, legKm: Math.round(dist[n ? order[n - 1] : 0][i] * 10) / 10 }));
+  const geometry = stops.length ? await routeGeometry([ROUTE_DEPOT, ...ordered, ROUTE_DEPOT]) : null;
+
+  res.json({
+    ok: true,
+    date,
+    installerId,
+    installerName: getUserNameFromCache(installerId) || `ID ${installerId}`,
+    depot: ROUTE_DEPOT,
+    stops: ordered,
+    skipped,
+    distanceKm: stops.length ? Math.round(tourLength(dist, order) * 10) / 10 : 0,
+    distanceSource: source,
+    osrmError: error || null,
+    geometry,
+    plan: saved ? { savedAt: saved.savedAt, savedBy: saved.savedBy, applied: useSaved, outdated: !sameSet } : null
+  });
+});
+
+app.put('/api/route-plans/:date/:installerId', requireAuth, requireEditor, async (req, res) => {
+  const date = String(req.params.date || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ ok: false, error: 'bad_date' });
+  const installerId = normalizeId(req.params.installerId);
+  if (!installerId) return res.status(400).json({ ok: false, error: 'installer_required' });
+
+  const order = Array.isArray(req.body?.order) ? req.body.order.map(x => String(x).trim()).filter(Boolean) : null;
+  if (!order || !order.length) return res.status(400).json({ ok: false, error: 'order_required' });
+  if (new Set(order).size !== order.length) return res.status(400).json({ ok: false, error: 'duplicate_stop' });
+
+  // план — ровно текущий набор заказов бригады на этот день
+  const { stops } = routeStops(date, installerId);
+  if (order.length !== stops.length || !stops.every(s => order.includes(s.id))) {
+    return res.status(409).json({ ok: false, error: 'stops_changed', stops: stops.map(s => s.id) });
+  }
+
+  const key = routePlanKey(date, installerId);
+  const before = routePlansStore[key]?.order || null;
+  routePlansStore[key] = { order, savedAt: new Date().toISOString(), savedById: req.session.user.id, savedBy: sessionUserName(req) };
+  await saveRoutePlansStore();
+  auditLog(req, 'route_plan.save', { type: 'route', id: key }, before, order);
+
+  res.json({ ok: true, key, ...routePlansStore[key] });
+});
+
+// ===================== Заказы рядом (для переноса "к соседям") =====================
+// Другие запланированные заказы в радиусе radiusKm от точки заказа, ±days дней от его даты (нет даты — от сегодня).
+const NEARBY_RADIUS_KM = Math.max(0.5, Number(process.env.NEARBY_RADIUS_KM) || 5);
+const NEARBY_DAYS = Math.max(1, Number(process.env.NEARBY_DAYS) || 3);
+const NEARBY_LIMIT = 30;
+
+app.get('/api/nearby/:id', requireAuth, (req, res) => {
+  const eventId = String(req.params.id || '').trim();
+  const events = eventsSnapshot.payload?.events || [];
+  const me = events.find(e => String(e?.id) === eventId);
+  if (!me) return res.status(404).json({ ok: false, error: 'not_found' });
+
+  const p = me.extendedProps || {};
+  const lat = toNum(p.lat), lng = toNum(p.lng);
+  if (lat === null || lng === null) return res.status(400).json({ ok: false, error: 'no_coords' });
+
+  const radiusKm = Math.min(50, Math.max(0.5, toNum(req.query.radiusKm) ?? NEARBY_RADIUS_KM));
+  const days = Math.min(14, Math.max(1, Math.round(toNum(req.query.days) ?? NEARBY_DAYS)));
+
+  const center = eventDayKey(me.start) || todayDateKey();
+  const dayMs = 86400000;
+  const c0 = Date.parse(center + 'T00:00:00Z');
+
+  const orderId = p.orderId || eventId;
+  const items = [];
+  for (const ev of events) {
+    if (String(ev?.id) === eventId) continue;
+    const q = ev.extendedProps || {};
+    if (q.done === true || q.isDone === true || q.hideMarker === true) continue;
+    if ((q.orderId || String(ev.id)) === orderId) continue; // другие выезды того же заказа — не "рядом"
+    const day = eventDayKey(ev.start);
+    if (!day) continue;
+    const diffDays = Math.round((Date.parse(day + 'T00:00:00Z') - c0) / dayMs);
+    if (Math.abs(diffDays) > days) continue;
+    const la = toNum(q.lat), lo = toNum(q.lng);
+    if (la === null || lo === null) continue;
+    const km = haversineKm({ lat, lng }, { lat: la, lng: lo });
+    if (km > radiusKm) continue;
+    items.push({
+      id: String(ev.id),
+      title: String(q.orderNumber || ev.title || ev.id),
+      date: day,
+      diffDays,
+      distanceKm: Math.round(km * 10) / 10,
+      address: q.address || '',
+      installersIds: q.installersIds || [],
+      installersNames: q.installersNames || []
+    });
+  }
+  items.sort((a, b) => (a.distanceKm - b.distanceKm) || (Math.abs(a.diffDays) - Math.abs(b.diffDays)));
+
+  res.json({ ok: true, id: eventId, center, radiusKm, days, total: items.length, items: items.slice(0, NEARBY_LIMIT) });
+});
+
+// ===================== BACKLOG (план есть, назначенной даты нет) =====================
+// Район: из адреса ("Приморский район", "Всеволожский р-н"), иначе — сторона света от цеха.
+const DISTRICT_CENTER_KM = 4;
+const COMPASS_SECTORS = ['Север', 'Северо-восток', 'Восток', 'Юго-восток', 'Юг', 'Юго-запад', 'Запад', 'Северо-запад'];
+
+function districtOf(address, lat, lng) {
+  const m = String(address || '').match(/([А-ЯЁ][а-яё]+(?:-[а-яё]+)?)\s+(?:район|р-н)(?![а-яё])/);
+  if (m) return `${m[1]} р-н`;
+  const la = toNum(lat), lo = toNum(lng);
+  if (la === null || lo === null) return '';
+  if (haversineKm(ROUTE_DEPOT, { lat: la, lng: lo }) <= DISTRICT_CENTER_KM) return 'Центр';
+  // азимут от цеха с поправкой на широту, 0 — север, по часовой
+  const dx = (lo - ROUTE_DEPOT.lng) * Math.cos(ROUTE_DEPOT.lat * Math.PI / 180);
+  const dy = la - ROUTE_DEPOT.lat;
+  const deg = (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+  return COMPASS_SECTORS[Math.round(deg / 45) % 8];
+}
+
+app.get('/api/backlog', requireAuth, (req, res) => {
+  const events = eventsSnapshot.payload?.events || [];
+  const items = [];
+  for (const ev of events) {
+    const p = ev?.extendedProps || {};
+    if (p.unscheduled !== true || p.done === true || p.isDone === true) continue;
+    items.push({
+      id: String(ev.id),
+      title: ev.title || String(ev.id),
+      color: p.color || ev.backgroundColor || null,
+      sourceId: p.sourceId || null,
+      sourceLabel: p.sourceLabel || '',
+      orderNumber: p.orderNumber || '',
+      customerName: p.customerName || '',
+      address: p.address || '',
+      district: p.district || '',
+      lat: p.lat ?? null,
+      lng: p.lng ?? null,
+      plannedInstall: eventDayKey(p.plannedInstall) || null,
+      otkDate: eventDayKey(p.otkDate) || null,
+      stoneTypeId: p.stoneTypeId ?? null,
+      stoneText: p.stoneText || '',
+      thickness: p.thickness || '',
+      installersIds: p.installersIds || [],
+      installersNames: p.installersNames || []
+    });
+  }
+  items.sort((a, b) => String(a.plannedInstall || '').localeCompare(String(b.plannedInstall || '')) || a.id.localeCompare(b.id));
+  res.json({ ok: true, version: eventsSnapshot.version, total: items.length, items });
+});
+
+// ===================== MILESTONES (Гант по заказам: цех → ОТК → план → монтаж) =====================
+// Строка — заказ (событие монтажа), вехи — дни из полей Bitrix и выездов заказа. В выдачу попадает заказ,
+// у которого хоть одна веха лежит в [from, to). Отставание: факт (выполнен / назначен) позже плана — slipDays > 0;
+// не выполнен, а срок (назначенная дата, иначе план) уже прошёл — overdueDays; ОТК позже плана — otkLate.
+// Списки stages / managers — по всем заказам периода (до фильтров по стадии и менеджеру), для селекторов.
+const MILESTONES_DAYS_MAX = 186;
+
+function orderMilestones(ev) {
+  const p = ev.extendedProps || {};
+  const visits = Array.isArray(p.visits) ? p.visits : [];
+  const measure = visits.find(v => v.type === 'measure');
+  return {
+    measure: measure ? (eventDayKey(measure.start) || null) : null,
+    transferToShop: eventDayKey(p.transferToShop) || null,
+    otk: eventDayKey(p.otkDate) || null,
+    planned: eventDayKey(p.plannedInstall) || null,
+    assigned: eventDayKey(p.assignedAny) || null,
+    installDone: eventDayKey(p.installDone) || null,
+    revisits: visits.filter(v => v.type === 'revisit').map(v => eventDayKey(v.start)).filter(Boolean)
+  };
+}
+
+function milestoneRow(ev, today) {
+  const p = ev.extendedProps || {};
+  const m = orderMilestones(ev);
+  const days = [m.measure, m.transferToShop, m.otk, m.planned, m.assigned, m.installDone, ...m.revisits].filter(Boolean).sort();
+  if (!days.length) return null;
+
+  const done = p.done === true || p.isDone === true;
+  const actual = m.installDone || m.assigned;
+  const due = actual || m.planned;
+  const slipDays = (m.planned && actual) ? daysBetween(m.planned, actual) : null;
+  const overdueDays = (!done && due && due < today) ? daysBetween(due, today) : 0;
+  const otkLate = !!(m.planned && m.otk && m.otk > m.planned);
+
+  return {
+    id: String(ev.id),
+    title: ev.title || String(ev.id),
+    orderNumber: p.orderNumber || '',
+    customerName: p.customerName || '',
+    color: p.color || ev.backgroundColor || null,
+    sourceId: p.sourceId || PRIMARY_SOURCE_ID,
+    sourceLabel: p.sourceLabel || '',
+    stageId: p.stageId || '',
+    stageName: p.stageName || p.stageId || '',
+    managerId: p.managerId || null,
+    managerName: p.managerName || '',
+    installersNames: p.installersNames || [],
+    done,
+    milestones: m,
+    start: days[0],
+    end: days[days.length - 1],
+    slipDays,
+    overdueDays,
+    otkLate,
+    late: (slipDays !== null && slipDays > 0) || overdueDays > 0 || otkLate
+  };
+}
+
+app.get('/api/milestones', requireAuth, (req, res) => {
+  const from = parseDateKeyParam(req.query.from);
+  const to = parseDateKeyParam(req.query.to);
+  if (!from || !to || to <= from || daysBetween(from, to) > MILESTONES_DAYS_MAX) {
+    return res.status(400).json({ ok: false, error: 'bad_range', maxDays: MILESTONES_DAYS_MAX });
+  }
+  const sources = String(req.query.sources || '').split(',').map(x => x.trim()).filter(Boolean);
+  const stageId = String(req.query.stageId || '').trim();
+  const managerId = normalizeId(req.query.managerId);
+  const lateOnly = req.query.late === '1';
+
+  const today = todayDateKey();
+  const inRange = [];
+  for (const ev of (eventsSnapshot.payload?.events || [])) {
+    // только заказы Bitrix: выезды — вехи своего заказа, у ручных карточек вех нет
+    if (ev?.extendedProps?.visitType !== 'install' || !parseEventId(ev.id)) continue;
+    if (sources.length && !sources.includes(eventSourceId(ev))) continue;
+    const row = milestoneRow(ev, today);
+    if (!row || row.end < from || row.start >= to) continue;
+    inRange.push(row);
+  }
+
+  const count = (key, name) => {
+    const out = new Map();
+    for (const r of inRange) {
+      const k = String(r[key] || '');
+      if (!k) continue;
+      if (!out.has(k)) out.set(k, { id: k, name: r[name] || k, count: 0 });
+      out.get(k).count++;
+    }
+    return [...out.values()].sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+  };
+
+  const items = inRange
+    .filter(r => (!stageId || r.stageId === stageId) && (!managerId || String(r.managerId) === String(managerId)) && (!lateOnly || r.late))
+    .sort((a, b) => String(a.milestones.planned || a.start).localeCompare(String(b.milestones.planned || b.start)) || a.id.localeCompare(b.id, 'ru', { numeric: true }));
+
+  res.json({
+    ok: true,
+    version: eventsSnapshot.version,
+    from,
+    to,
+    today,
+    total: items.length,
+    late: items.filter(r => r.late).length,
+    stages: count('stageId', 'stageName'),
+    managers: count('managerId', 'managerName'),
+    items
+  });
+});
+
+// ===================== AUTOPLAN (черновик дат и бригад для бэклога) =====================
+// Жадно: сначала самые срочные (раньше ОТК, потом раньше план). Для каждого заказа — день и бригада с минимальной
+// "ценой": отклонение от плановой даты (AUTOPLAN_KM_PER_DAY км за день, раньше плана — в полтора раза дороже)
+// плюс расстояние до ближайшего заказа этой бригады в тот день (пустой день — до цеха).
+// Лимиты — из capacity_rules; где лимит не задан — AUTOPLAN_DEFAULT_LIMIT. Дни, нарушающие schedule_rules
+// (хоть warn, хоть error), не предлагаем. В Bitrix ничего не пишется до accept.
+const AUTOPLAN_DAYS = 14;
+const AUTOPLAN_DAYS_MAX = 42;
+const AUTOPLAN_KM_PER_DAY = 5;
+const AUTOPLAN_NO_COORDS_KM = 10;
+const AUTOPLAN_DEFAULT_LIMIT = Math.max(1, Number(process.env.AUTOPLAN_DEFAULT_LIMIT) || 3);
+const AUTOPLAN_ACCEPT_MAX = 100;
+
+function addDaysKey(dayKey, n) {
+  const d = new Date(dayKey + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b + 'T00:00:00Z') - Date.parse(a + 'T00:00:00Z')) / 86400000);
+}
+
+// закрытый для бригады день: закрыт в рабочем календаре, монтажник отсутствует или лимит 0
+function planDayBlocked(dayKey, installerId) {
+  if (blockedDay(dayKey)) return true;
+  if (installerAbsence(installerId, dayKey)) return true;
+  return capacityLimit(installerId, dayKey) === 0;
+}
+
+// пул бригад: явно переданные, иначе из capacity_rules.crews, иначе все монтажники из снапшота
+function autoplanCrews(explicit, events) {
+  if (explicit.length) return explicit;
+  if (capacityRules.crews.length) return capacityRules.crews.map(c => c.installerId);
+  const ids = new Set();
+  for (const ev of events) for (const x of (ev.extendedProps?.installersIds || [])) ids.add(normalizeId(x));
+  return [...ids].filter(Boolean);
+}
+
+function buildAutoplan({ from, days, ids, installerIds, requireOtk }) {
+  const events = eventsSnapshot.payload?.events || [];
+  const to = addDaysKey(from, days - 1);
+  const dayList = Array.from({ length: days }, (_, i) => addDaysKey(from, i));
+
+  const wanted = ids ? new Set(ids) : null;
+  const candidates = events.filter(ev => {
+    const p = ev?.extendedProps || {};
+    if (p.unscheduled !== true || p.done === true || p.isDone === true) return false;
+    return !wanted || wanted.has(String(ev.id));
+  });
+
+  // уже занятая загрузка и точки по бригаде/дню (заказы без назначенной даты не в счёт — как и в capacityOverload)
+  const tally = new Map(); // "installerId:day" -> { load, points: [{ lat, lng }] }
+  const slot = (inst, day) => {
+    const k = `${inst}:${day}`;
+    let s = tally.get(k);
+    if (!s) { s = { load: 0, points: [] }; tally.set(k, s); }
+    return s;
+  };
+  for (const ev of events) {
+    if (ev.extendedProps?.unscheduled === true) continue;
+    const day = eventDayKey(ev.start);
+    if (!day || day < from || day > to) continue;
+    const p = ev.extendedProps || {};
+    const la = toNum(p.lat), lo = toNum(p.lng);
+    for (const raw of (p.installersIds || [])) {
+      const s = slot(normalizeId(raw), day);
+      s.load += jobLoad(p);
+      if (la !== null && lo !== null) s.points.push({ lat: la, lng: lo });
+    }
+  }
+
+  const crews = autoplanCrews(installerIds, events);
+  const key = (ev, k) => eventDayKey(ev.extendedProps?.[k]) || '9999-99-99';
+  candidates.sort((a, b) => key(a, 'otkDate').localeCompare(key(b, 'otkDate')) ||
+    key(a, 'plannedInstall').localeCompare(key(b, 'plannedInstall')) || String(a.id).localeCompare(String(b.id)));
+
+  // без "после ОТК" правило ОТК не мешает; причина рекламации к первому назначению не относится
+  const ignoreRules = requireOtk ? ['reclReason'] : ['reclReason', 'otkLead'];
+
+  const proposals = [];
+  const unplaced = [];
+  for (const ev of candidates) {
+    const p = ev.extendedProps || {};
+    const base = { id: String(ev.id), title: ev.title || String(ev.id) };
+
+    // к монтажу готов через otkLead.days после ОТК (правило выключено — со следующего дня)
+    const otk = eventDayKey(p.otkDate);
+    if (requireOtk && !otk) { unplaced.push({ ...base, reason: 'otk_missing' }); continue; }
+    const lead = scheduleRules.otkLead.level === 'off' ? 1 : scheduleRules.otkLead.days;
+    const earliest = (otk && addDaysKey(otk, lead) > from) ? addDaysKey(otk, lead) : from;
+    if (earliest > to) { unplaced.push({ ...base, reason: 'otk_after_horizon' }); continue; }
+
+    const planned = eventDayKey(p.plannedInstall) || earliest;
+    const fixed = normalizeIdList(p.installersIds);
+    const pool = fixed.length ? [fixed] : crews.map(id => [id]);
+    if (!pool.length) { unplaced.push({ ...base, reason: 'no_crews' }); continue; }
+
+    const load = jobLoad(p);
+    const la = toNum(p.lat), lo = toNum(p.lng);
+    const here = (la !== null && lo !== null) ? { lat: la, lng: lo } : null;
+
+    let best = null;
+    for (const day of dayList) {
+      if (day < earliest) continue;
+      if (scheduleViolations(ev, day).some(v => !ignoreRules.includes(v.rule))) continue;
+      const shift = daysBetween(planned, day);
+      for (const crew of pool) {
+        if (crew.some(id => planDayBlocked(day, id))) continue;
+        if (crew.some(id => slot(id, day).load + load > (capacityLimit(id, day) ?? AUTOPLAN_DEFAULT_LIMIT))) continue;
+        let km = AUTOPLAN_NO_COORDS_KM;
+        if (here) {
+          const pts = crew.flatMap(id => slot(id, day).points);
+          km = pts.length ? Math.min(...pts.map(q => haversineKm(here, q))) : haversineKm(here, ROUTE_DEPOT);
+        }
+        const cost = Math.abs(shift) * AUTOPLAN_KM_PER_DAY * (shift < 0 ? 1.5 : 1) + km;
+        if (!best || cost < best.cost) best = { day, crew, km, shift, cost };
+      }
+    }
+    if (!best) { unplaced.push({ ...base, reason: 'no_free_day' }); continue; }
+
+    for (const id of best.crew) {
+      const s = slot(id, best.day);
+      s.load += load;
+      if (here) s.points.push(here);
+    }
+    proposals.push({
+      ...base,
+      date: best.day,
+      installerIds: best.crew,
+      installerNames: best.crew.map(id => getUserNameFromCache(id) || `ID ${id}`),
+      crewFixed: fixed.length > 0,
+      plannedInstall: eventDayKey(p.plannedInstall) || null,
+      otkDate: otk || null,
+      shiftDays: best.shift,
+      nearKm: Math.round(best.km * 10) / 10,
+      load
+    });
+  }
+
+  return { from, to, crews, proposals, unplaced };
+}
+
+// {a:1, f:{x:[1,2]}} -> "a=1&f[x][0]=1&f[x][1]=2" — формат команд Bitrix batch
+function bitrixQuery(obj, prefix = '') {
+  const parts = [];
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}[${encodeURIComponent(k)}]` : encodeURIComponent(k);
+    if (v !== null && typeof v === 'object') parts.push(bitrixQuery(v, key));
+    else parts.push(`${key}=${encodeURIComponent(v ?? '')}`);
+  }
+  return parts.filter(Boolean).join('&');
+}
+
+app.post('/api/autoplan', requireAuth, requireEditor, async (req, res) => {
+  const b = req.body || {};
+  const from = b.from === undefined || b.from === '' ? addDaysKey(todayDateKey(), 1) : String(b.from).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || Number.isNaN(Date.parse(from + 'T00:00:00Z'))) {
+    return res.status(400).json({ ok: false, error: 'bad_from' });
+  }
+  const days = Math.min(AUTOPLAN_DAYS_MAX, Math.max(1, Math.round(toNum(b.days) ?? AUTOPLAN_DAYS)));
+  const ids = Array.isArray(b.ids) ? b.ids.map(x => String(x).trim()).filter(Boolean) : null;
+  const installerIds = Array.isArray(b.installerIds) ? Array.from(new Set(normalizeIdList(b.installerIds))) : [];
+
+  const plan = buildAutoplan({ from, days, ids, installerIds, requireOtk: b.requireOtk !== false });
+  await fetchUsersByBatch(plan.crews).catch(() => {});
+
+  res.json({
+    ok: true,
+    version: eventsSnapshot.version,
+    ...plan,
+    crews: plan.crews.map(id => ({ id, name: getUserNameFromCache(id) || `ID ${id}` }))
+  });
+});
+
+// принять черновик целиком или частично: одна пачка crm.item.update через batch (по 50 команд)
+app.post('/api/autoplan/accept', requireAuth, requireEditor, async (req, res) => {
+  const raw = Array.isArray(req.body?.items) ? req.body.items : null;
+  if (!raw || !raw.length) return res.status(400).json({ ok: false, error: 'items_required' });
+  if (raw.length > AUTOPLAN_ACCEPT_MAX) return res.status(400).json({ ok: false, error: 'too_many_items', max: AUTOPLAN_ACCEPT_MAX });
+
+  const events = eventsSnapshot.payload?.events || [];
+  const failed = [];
+  const jobs = [];
+  const extra = new Map();
+  const multipleByEntity = new Map();
+  const seen = new Set(); // повтор id дал бы два update в одном batch и двойную загрузку в extra
+
+  for (const it of raw) {
+    const eventId = String(it?.id || '').trim();
+    const date = String(it?.date || '').trim();
+    const ref = parseEventId(eventId);
+    if (!ref || !Number.isFinite(ref.itemId) || ref.itemId <= 0) { failed.push({ id: eventId, error: 'bad_id' }); continue; }
+    if (seen.has(eventId)) { failed.push({ id: eventId, error: 'duplicate' }); continue; }
+    seen.add(eventId);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) { failed.push({ id: eventId, error: 'bad_date' }); continue; }
+
+    const ev = events.find(e => String(e?.id) === eventId);
+    if (!ev) { failed.push({ id: eventId, error: 'not_found' }); continue; }
+    const p = ev.extendedProps || {};
+    // пока черновик смотрели, дату могли поставить вручную — не перетираем
+    if (p.unscheduled !== true) { failed.push({ id: eventId, error: 'already_scheduled' }); continue; }
+
+    const dateField = fieldCode('assignedInstall', ref.source);
+    if (!dateField) { failed.push({ id: eventId, error: 'assigned_field_not_configured' }); continue; }
+
+    const before = normalizeIdList(p.installersIds);
+    const ids = Array.isArray(it.installerIds) ? Array.from(new Set(normalizeIdList(it.installerIds))) : before;
+    if (ids.length > INSTALLERS_MAX) { failed.push({ id: eventId, error: 'too_many_installers' }); continue; }
+    const instChanged = ids.length !== before.length || ids.some(x => !before.includes(x));
+
+    const fields = { [dateField]: date };
+    if (instChanged) {
+      const instField = fieldCode('installers', ref.source);
+      if (!instField) { failed.push({ id: eventId, error: 'installers_field_not_configured' }); continue; }
+      if (!multipleByEntity.has(ref.source.entityTypeId)) {
+        let isMultiple = true;
+        try {
+          const meta = (await loadBitrixItemFields(ref.source.entityTypeId)).find(f => f.code === instField);
+          if (meta) isMultiple = !!meta.isMultiple;
+        } catch { /* нет метаданных — пишем как множественное */ }
+        multipleByEntity.set(ref.source.entityTypeId, isMultiple);
+      }
+      const isMultiple = multipleByEntity.get(ref.source.entityTypeId);
+      if (!isMultiple && ids.length > 1) { failed.push({ id: eventId, error: 'single_installer_only' }); continue; }
+      fields[instField] = isMultiple ? (ids.length ? ids : '') : (ids[0] || '');
+    }
+
+    const lock = dayLock(lockedFromDay(ev), date, !!ev.extendedProps?.done);
+    if (lock) { failed.push({ id: eventId, ...lock }); continue; }
+
+    // ошибки правил в пачке не переопределяются — такие даты ставятся по одной из карточки
+    const violations = scheduleViolations(ev, date);
+    if (violations.some(v => v.level === 'error')) { failed.push({ id: eventId, error: 'schedule_rules_violated', violations }); continue; }
+
+    // лимиты считаем с учётом уже принятых в этой же пачке
+    const overload = capacityOverload(eventId, date, ids, extra);
+    if (overload.length && capacityRules.onExceed === 'block') {
+      failed.push({ id: eventId, error: 'capacity_exceeded', details: overload });
+      continue;
+    }
+    const load = jobLoad(p);
+    for (const x of ids) extra.set(`${x}:${date}`, (extra.get(`${x}:${date}`) || 0) + load);
+
+    jobs.push({ eventId, ref, date, ids, before, instChanged, dateField, fields, beforeDate: p.assignedInstall || null, overload, violations, absent: absenceConflicts(date, ids) });
+  }
+
+  if (jobs.length) await fetchUsersByBatch(jobs.flatMap(j => j.ids)).catch(() => {});
+
+  const applied = [];
+  for (let i = 0; i < jobs.length; i += 50) {
+    const pack = jobs.slice(i, i + 50);
+    const cmd = {};
+    pack.forEach((j, n) => {
+      cmd['a' + n] = 'crm.item.update?' + bitrixQuery({ entityTypeId: j.ref.source.entityTypeId, id: j.ref.itemId, fields: j.fields });
+    });
+
+    let results = {};
+    let errors = {};
+    try {
+      const data = await bitrixPost('batch', { halt: 0, cmd });
+      results = data?.result?.result || {};
+      errors = data?.result?.result_error || {};
+    } catch (e) {
+      for (const j of pack) failed.push({ id: j.eventId, error: 'bitrix_update_failed', details: bitrixErrorText(e) });
+      continue;
+    }
+
+    pack.forEach((j, n) => {
+      const k = 'a' + n;
+      if (errors[k] || !results[k]) {
+        failed.push({ id: j.eventId, error: 'bitrix_update_failed', details: errors[k] || null });
+        return;
+      }
+      patchSnapshotAssignedDate(j.eventId, j.date);
+      const meta = { sourceId: j.ref.source.id, fieldId: j.dateField, autoplan: true };
+      if (j.violations.length) meta.rules = j.violations.map(v => v.rule);
+      if (j.absent.length) meta.absent = j.absent.map(a => a.installerId);
+      auditLog(req, 'assigned_date.set', { type: 'event', id: j.eventId }, j.beforeDate, j.date, meta);
+      if (j.instChanged) {
+        patchSnapshotInstallers(j.eventId, j.ids);
+        auditLog(req, 'installers.set', { type: 'event', id: j.eventId }, j.before, j.ids,
+          { names: j.ids.map(getUserNameFromCache), autoplan: true });
+      }
+      applied.push({ id: j.eventId, date: j.date, installerIds: j.ids, capacityWarnings: j.overload, absenceWarnings: j.absent, ruleWarnings: j.violations });
+    });
+  }
+
+  if (applied.length) setTimeout(() => scheduleRefresh('autoplan_accept'), 2500);
+  res.json({ ok: true, applied, failed });
+});
+
 // Алиас под старое/привычное
 app.put('/api/bitrix/assigned/:id', requireAuth, requireEditor, async (req, res) => {
   // прокидываем на тот же handler логикой
@@ -1622,6 +5398,14 @@ app.put('/api/bitrix/assigned/:id', requireAuth, requireEditor, async (req, res)
 
 // ===================== START =====================
 (async () => {
+  storage.open();
+  await loadBitrixConfig();
+  await loadColorRules();
+  loadCapacityRules();
+  loadScheduleRules();
+  loadWorkCalendar();
+  loadDurationRules();
+  await loadDictsFromDisk();
   await loadUsersStore();
   await bootstrapAdminIfNeeded();
 
@@ -1630,6 +5414,10 @@ app.put('/api/bitrix/assigned/:id', requireAuth, requireEditor, async (req, res)
   await loadGeocodeCache();
   await loadReclSeenStore();
   await loadDoneStore();
+  await loadRoutePlansStore();
+  await loadAbsencesStore();
+  await loadDurationsStore();
+  await loadVisitsStore();
 
   const loaded = await loadSnapshotFromDisk();
   if (!loaded) scheduleRefresh('startup');
@@ -1637,6 +5425,9 @@ app.put('/api/bitrix/assigned/:id', requireAuth, requireEditor, async (req, res)
 
   pollBitrixTopUpdate();
 
+  refreshBitrixDicts().then(changed => { if (changed) scheduleRefresh('dicts_update'); });
+  scheduleDictsRefresh();
+
   app.listen(PORT, () => {
     console.log(`API listening on port ${PORT}`);
     console.log(`Login page: http://localhost:${PORT}/login`);
@@ -1646,6 +5437,6 @@ app.put('/api/bitrix/assigned/:id', requireAuth, requireEditor, async (req, res)
     console.log(`Admin:       http://localhost:${PORT}/admin (admin only)`);
     console.log(`SSE: /api/stream`);
     console.log(`DIAG: http://localhost:${PORT}/api/diag`);
-    console.log(`Polling: every ~${POLL_INTERVAL_MS}ms`);
+    console.log(`Polling: every ~${bitrixConfig.pollMs}ms`);
   });
 })();
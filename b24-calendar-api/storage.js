@@ -0,0 +1,380 @@
+// storage.js
+// SQLite-хранилище вместо россыпи JSON-файлов (users.json, manual_events.json, comments.json, done_status.json,
+// recl_seen.json, geocode_cache.json + конфиги bitrix_config/color_rules/bitrix_dicts).
+// events_snapshot.json сюда не переезжает: большой и частый, server.js пишет его сам, асинхронно.
+//
+// Один локальный файл (DB_FILE, по умолчанию data.sqlite рядом с server.js), WAL.
+// better-sqlite3 синхронный: каждая запись — одна транзакция, параллельные запросы не перемешиваются.
+//
+// Таблицы-коллекции: (id, pos, value JSON, updated_at). server.js по-прежнему держит сторы в памяти
+// и вызывает save*Store() после изменения — здесь сравниваем с последним записанным состоянием
+// и пишем только изменившиеся строки.
+//
+// Первый запуск: одноразовая миграция из существующих JSON-файлов (файлы не трогаем).
+// Выгрузка обратно в JSON того же формата: `node storage.js export [dir]`.
+//
+// Плюс журнал изменений (audit): только добавление, выборка по объекту/пользователю/периоду.
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const SCHEMA_VERSION = 2; // 2: таблица audit
+
+// коллекция -> { file: исходный JSON, kind: 'list' (массив объектов с id) | 'map' (объект id -> значение) }
+const COLLECTIONS = {
+  users:         { file: 'users.json',          kind: 'list' },
+  manual_events: { file: 'manual_events.json',  kind: 'list' },
+  comments:      { file: 'comments.json',       kind: 'map' },
+  done_status:   { file: 'done_status.json',    kind: 'map' },
+  recl_seen:     { file: 'recl_seen.json',      kind: 'map' },
+  geocode_cache: { file: 'geocode_cache.json',  kind: 'map' },
+  route_plans:   { file: 'route_plans.json',    kind: 'map' },
+  installer_absences: { file: 'installer_absences.json', kind: 'list' },
+  job_durations: { file: 'job_durations.json', kind: 'map' },
+  order_visits:  { file: 'order_visits.json',   kind: 'map' }
+};
+
+// одиночные документы (целиком одним JSON)
+const DOCUMENTS = {
+  bitrix_config:   'bitrix_config.json',
+  color_rules:     'color_rules.json',
+  bitrix_dicts:    'bitrix_dicts.json',
+  capacity_rules:  'capacity_rules.json',
+  schedule_rules:  'schedule_rules.json',
+  work_calendar:   'work_calendar.json',
+  duration_rules:  'duration_rules.json'
+};
+
+let db = null;
+let dataDir = __dirname;
+const written = new Map(); // коллекция -> Map(id -> { pos, json } последней записи)
+
+function nowIso() { return new Date().toISOString(); }
+
+function readJsonSync(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    if (e && e.code !== 'ENOENT') console.error('storage: cannot read', filePath, e?.message || e);
+    return null;
+  }
+}
+
+function createSchema() {
+  for (const name of Object.keys(COLLECTIONS)) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${name} (
+      id TEXT PRIMARY KEY,
+      pos INTEGER NOT NULL DEFAULT 0,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`);
+  }
+  db.exec(`CREATE TABLE IF NOT EXISTS documents (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+  db.exec(`CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  )`);
+
+  // журнал изменений: только INSERT, UPDATE/DELETE запрещены триггерами
+  db.exec(`CREATE TABLE IF NOT EXISTS audit (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT NOT NULL,
+    user_id TEXT,
+    username TEXT,
+    full_name TEXT,
+    role TEXT,
+    ip TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT,
+    target_id TEXT,
+    before TEXT,
+    after TEXT,
+    meta TEXT
+  )`);
+  db.exec('CREATE INDEX IF NOT EXISTS audit_target ON audit (target_id, seq)');
+  db.exec('CREATE INDEX IF NOT EXISTS audit_user ON audit (user_id, seq)');
+  db.exec('CREATE INDEX IF NOT EXISTS audit_at ON audit (at)');
+  db.exec(`CREATE TRIGGER IF NOT EXISTS audit_no_update BEFORE UPDATE ON audit
+    BEGIN SELECT RAISE(ABORT, 'audit is append-only'); END`);
+  db.exec(`CREATE TRIGGER IF NOT EXISTS audit_no_delete BEFORE DELETE ON audit
+    BEGIN SELECT RAISE(ABORT, 'audit is append-only'); END`);
+}
+
+function getMeta(key) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+function setMeta(key, value) {
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, String(value));
+}
+
+// объект/массив из JSON-файла -> [[id, value], ...] в порядке файла
+function entriesOf(name, data) {
+  if (COLLECTIONS[name].kind === 'list') {
+    if (!Array.isArray(data)) return [];
+    return data.filter(x => x && x.id !== undefined && x.id !== null).map(x => [String(x.id), x]);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return [];
+  return Object.entries(data);
+}
+
+// ===================== MIGRATION (JSON -> SQLite, один раз) =====================
+function migrateFromJson() {
+  if (getMeta('migrated_from_json')) return null;
+
+  const report = {};
+  const tx = db.transaction(() => {
+    for (const [name, c] of Object.entries(COLLECTIONS)) {
+      const data = readJsonSync(path.join(dataDir, c.file));
+      const entries = entriesOf(name, data);
+      const ins = db.prepare(`INSERT OR REPLACE INTO ${name} (id, pos, value, updated_at) VALUES (?, ?, ?, ?)`);
+      const ordered = c.kind === 'list';
+      entries.forEach(([id, v], i) => ins.run(id, ordered ? i : 0, JSON.stringify(v), nowIso()));
+      report[name] = entries.length;
+    }
+    for (const [key, file] of Object.entries(DOCUMENTS)) {
+      const data = readJsonSync(path.join(dataDir, file));
+      if (data === null) continue;
+      db.prepare('INSERT OR REPLACE INTO documents (key, value, updated_at) VALUES (?, ?, ?)').run(key, JSON.stringify(data), nowIso());
+      report[key] = 1;
+    }
+    setMeta('migrated_from_json', nowIso());
+  });
+  tx();
+  return report;
+}
+
+// ===================== OPEN =====================
+function open({ file, dir } = {}) {
+  if (db) return db;
+  dataDir = dir || __dirname;
+  const dbFile = file || process.env.DB_FILE || path.join(dataDir, 'data.sqlite');
+
+  db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('foreign_keys = ON');
+
+  createSchema();
+  setMeta('schema_version', SCHEMA_VERSION);
+
+  const migrated = migrateFromJson();
+  if (migrated) console.log('storage: migrated JSON files into', dbFile, JSON.stringify(migrated));
+
+  return db;
+}
+
+function ensureOpen() {
+  if (!db) open();
+  return db;
+}
+
+// ===================== COLLECTIONS =====================
+function loadRows(name) {
+  ensureOpen();
+  const rows = db.prepare(`SELECT id, pos, value FROM ${name} ORDER BY pos, rowid`).all();
+  const snap = new Map();
+  const out = [];
+  for (const r of rows) {
+    snap.set(r.id, { pos: r.pos, json: r.value });
+    try { out.push([r.id, JSON.parse(r.value)]); } catch { /* битую строку пропускаем */ }
+  }
+  written.set(name, snap);
+  return out;
+}
+
+// list-коллекция -> массив, map-коллекция -> объект (как раньше возвращал readJsonFileSafe)
+function loadCollection(name) {
+  const rows = loadRows(name);
+  if (COLLECTIONS[name].kind === 'list') return rows.map(([, v]) => v);
+  return Object.fromEntries(rows);
+}
+
+// сохранить текущее состояние коллекции: upsert изменённых строк + удаление пропавших, одной транзакцией
+function saveCollection(name, data) {
+  ensureOpen();
+  const prev = written.get(name) || new Map();
+  const next = new Map();
+  const entries = entriesOf(name, data);
+  const ordered = COLLECTIONS[name].kind === 'list'; // pos важен только для list (порядок пользователей/ручных событий)
+
+  const upsert = db.prepare(`INSERT INTO ${name} (id, pos, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET pos = excluded.pos, value = excluded.value, updated_at = excluded.updated_at`);
+  const del = db.prepare(`DELETE FROM ${name} WHERE id = ?`);
+
+  let changed = 0;
+  const tx = db.transaction(() => {
+    entries.forEach(([id, v], i) => {
+      const json = JSON.stringify(v);
+      const pos = ordered ? i : 0;
+      next.set(id, { pos, json });
+      const old = prev.get(id);
+      if (old && old.json === json && old.pos === pos) return;
+      upsert.run(id, pos, json, nowIso());
+      changed++;
+    });
+    for (const id of prev.keys()) {
+      if (!next.has(id)) { del.run(id); changed++; }
+    }
+  });
+  tx();
+
+  written.set(name, next);
+  return changed;
+}
+
+// ===================== DOCUMENTS =====================
+function getDocument(key, fallback = null) {
+  ensureOpen();
+  const row = db.prepare('SELECT value FROM documents WHERE key = ?').get(key);
+  if (!row) return fallback;
+  try { return JSON.parse(row.value) ?? fallback; } catch { return fallback; }
+}
+
+function setDocument(key, value) {
+  ensureOpen();
+  db.prepare(`INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+    .run(key, JSON.stringify(value), nowIso());
+}
+
+// ===================== AUDIT =====================
+function jsonOrNull(v) { return v === undefined ? null : JSON.stringify(v); }
+function parseOrNull(v) {
+  if (v === null || v === undefined) return null;
+  try { return JSON.parse(v); } catch { return null; }
+}
+
+function auditRow(r) {
+  return {
+    seq: r.seq,
+    at: r.at,
+    userId: r.user_id,
+    username: r.username,
+    fullName: r.full_name,
+    role: r.role,
+    ip: r.ip,
+    action: r.action,
+    targetType: r.target_type,
+    targetId: r.target_id,
+    before: parseOrNull(r.before),
+    after: parseOrNull(r.after),
+    meta: parseOrNull(r.meta)
+  };
+}
+
+// entry: { userId, username, fullName, role, ip, action, targetType, targetId, before, after, meta } -> seq
+function appendAudit(entry) {
+  ensureOpen();
+  const e = entry || {};
+  const info = db.prepare(`INSERT INTO audit (at, user_id, username, full_name, role, ip, action, target_type, target_id, before, after, meta)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+    e.at || nowIso(),
+    e.userId ?? null,
+    e.username ?? null,
+    e.fullName ?? null,
+    e.role ?? null,
+    e.ip ?? null,
+    String(e.action || 'unknown'),
+    e.targetType ?? null,
+    (e.targetId === undefined || e.targetId === null) ? null : String(e.targetId),
+    jsonOrNull(e.before),
+    jsonOrNull(e.after),
+    jsonOrNull(e.meta)
+  );
+  return Number(info.lastInsertRowid);
+}
+
+// фильтры: targetId, userId, action, from/to (ISO, to — не включительно), beforeSeq (курсор), limit. Новые сверху.
+function queryAudit({ targetType, targetId, userId, action, from, to, beforeSeq, limit } = {}) {
+  ensureOpen();
+  const where = [];
+  const args = [];
+  if (targetType) { where.push('target_type = ?'); args.push(String(targetType)); }
+  if (targetId) { where.push('target_id = ?'); args.push(String(targetId)); }
+  if (userId) { where.push('user_id = ?'); args.push(String(userId)); }
+  if (action) { where.push('action = ?'); args.push(String(action)); }
+  if (from) { where.push('at >= ?'); args.push(String(from)); }
+  if (to) { where.push('at < ?'); args.push(String(to)); }
+  if (beforeSeq) { where.push('seq < ?'); args.push(Number(beforeSeq)); }
+
+  const n = Math.min(Math.max(Number(limit) || 100, 1), 1000);
+  const sql = `SELECT * FROM audit ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY seq DESC LIMIT ?`;
+  return db.prepare(sql).all(...args, n).map(auditRow);
+}
+
+// ===================== EXPORT (SQLite -> JSON того же формата, что были файлы) =====================
+function exportToJson(outDir) {
+  ensureOpen();
+  fs.mkdirSync(outDir, { recursive: true });
+  const report = {};
+
+  for (const [name, c] of Object.entries(COLLECTIONS)) {
+    const rows = db.prepare(`SELECT id, value FROM ${name} ORDER BY pos, rowid`).all().map(r => [r.id, JSON.parse(r.value)]);
+    const data = c.kind === 'list' ? rows.map(([, v]) => v) : Object.fromEntries(rows);
+    fs.writeFileSync(path.join(outDir, c.file), JSON.stringify(data, null, 2), 'utf8');
+    report[c.file] = rows.length;
+  }
+  for (const [key, file] of Object.entries(DOCUMENTS)) {
+    const v = getDocument(key, null);
+    if (v === null) continue;
+    fs.writeFileSync(path.join(outDir, file), JSON.stringify(v, null, 2), 'utf8');
+    report[file] = 1;
+  }
+
+  const audit = db.prepare('SELECT * FROM audit ORDER BY seq').all().map(auditRow);
+  fs.writeFileSync(path.join(outDir, 'audit.json'), JSON.stringify(audit, null, 2), 'utf8');
+  report['audit.json'] = audit.length;
+  return report;
+}
+
+function stats() {
+  ensureOpen();
+  const out = { file: db.name, schemaVersion: Number(getMeta('schema_version')) || null, migratedAt: getMeta('migrated_from_json') };
+  for (const name of Object.keys(COLLECTIONS)) out[name] = db.prepare(`SELECT COUNT(*) AS n FROM ${name}`).get().n;
+  out.audit = db.prepare('SELECT COUNT(*) AS n FROM audit').get().n;
+  out.documents = db.prepare('SELECT key FROM documents ORDER BY key').all().map(r => r.key);
+  return out;
+}
+
+function close() {
+  if (db) db.close();
+  db = null;
+  written.clear();
+}
+
+module.exports = {
+  COLLECTIONS,
+  DOCUMENTS,
+  open,
+  close,
+  loadCollection,
+  saveCollection,
+  getDocument,
+  setDocument,
+  appendAudit,
+  queryAudit,
+  exportToJson,
+  stats
+};
+
+// CLI: node storage.js export [dir] | node storage.js stats
+if (require.main === module) {
+  require('dotenv').config();
+  const [cmd, arg] = process.argv.slice(2);
+  open();
+  if (cmd === 'export') {
+    const dir = path.resolve(arg || path.join(__dirname, 'export'));
+    console.log('exported to', dir, JSON.stringify(exportToJson(dir)));
+  } else if (cmd === 'stats') {
+    console.log(JSON.stringify(stats(), null, 2));
+  } else {
+    console.log('usage: node storage.js export [dir] | stats');
+  }
+  close();
+}